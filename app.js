@@ -0,0 +1,47 @@
+const express = require('express');
+const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const apiSpec = require('./openapi');
+const openapiValidator = require('./middleware/openapi');
+const requestId = require('./middleware/requestId');
+const requestLogger = require('./middleware/requestLogger');
+
+const app = express();
+
+// Behind a proxy or load balancer req.ip is the proxy's address unless the
+// hop count is trusted, which would put every client in one rate-limit bucket
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+app.use(requestId);
+app.use(requestLogger);
+
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+
+app.get('/api/openapi.json', (req, res) => res.json(apiSpec));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/api/openapi.json' } }));
+
+app.use(openapiValidator());
+
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/airports', require('./routes/airports'));
+app.use('/api/flights', require('./routes/flights'));
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/bookings', require('./routes/bookings'));
+app.use('/api/payments', require('./routes/payments'));
+
+app.get('/', (req, res) => {
+  res.send('🚀 Flight Booking API is running...');
+});
+
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,4 @@
+module.exports = {
+  maxNameEditDistance: 3,
+  maxNameCorrectionsPerPassenger: 2
+};
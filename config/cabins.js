@@ -0,0 +1,3 @@
+const CABIN_CLASSES = ['economy', 'premium', 'business'];
+
+module.exports = { CABIN_CLASSES };
@@ -0,0 +1,21 @@
+module.exports = {
+  defaults: {
+    windows: [
+      { minHoursBeforeDeparture: 72, feePercent: 0 },
+      { minHoursBeforeDeparture: 24, feePercent: 25 },
+      { minHoursBeforeDeparture: 4, feePercent: 50 },
+      { minHoursBeforeDeparture: 0, feePercent: 100 }
+    ],
+    refundTaxes: true
+  },
+  overrides: [
+    {
+      match: { airlineCode: 'SG' },
+      windows: [
+        { minHoursBeforeDeparture: 48, feePercent: 10 },
+        { minHoursBeforeDeparture: 2, feePercent: 60 },
+        { minHoursBeforeDeparture: 0, feePercent: 100 }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  minConnectionMinutes: 45,
+  maxConnectionMinutes: 720,
+  maxStops: 2,
+  maxJourneys: 6,
+  maxItineraries: 50
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger');
 
 const connectDB = async () => {
   try {
@@ -6,9 +7,9 @@ const connectDB = async () => {
       useNewUrlParser: true,
       useUnifiedTopology: true,
     });
-    console.log('MongoDB Connected Successfully');
+    logger.info('MongoDB connected');
   } catch (error) {
-    console.error('MongoDB Connection Error:', error.message);
+    logger.error('MongoDB connection failed', { error });
     process.exit(1);
   }
 };
@@ -0,0 +1,35 @@
+module.exports = {
+  defaults: {
+    loadFactor: [
+      { min: 0.9, multiplier: 1.4 },
+      { min: 0.75, multiplier: 1.2 },
+      { min: 0.5, multiplier: 1.1 }
+    ],
+    daysToDeparture: [
+      { max: 2, multiplier: 1.35 },
+      { max: 7, multiplier: 1.2 },
+      { max: 21, multiplier: 1.05 },
+      { min: 60, multiplier: 0.9 }
+    ],
+    dayOfWeek: {
+      0: 1.1,
+      5: 1.1
+    },
+    minMultiplier: 0.8,
+    maxMultiplier: 2
+  },
+  overrides: [
+    {
+      match: { origin: 'PNQ', destination: 'DEL' },
+      dayOfWeek: {
+        0: 1.15,
+        1: 1.05,
+        5: 1.15
+      }
+    },
+    {
+      match: { airlineCode: 'SG' },
+      maxMultiplier: 1.6
+    }
+  ]
+};
@@ -0,0 +1,16 @@
+const MINUTE_MS = 60 * 1000;
+
+module.exports = {
+  login: { windowMs: 15 * MINUTE_MS, max: 20 },
+  loginAccount: { windowMs: 15 * MINUTE_MS, max: 10 },
+  register: { windowMs: 60 * MINUTE_MS, max: 10 },
+  accountEmails: { windowMs: 60 * MINUTE_MS, max: 5 },
+  authTokens: { windowMs: 15 * MINUTE_MS, max: 30 },
+  bookings: { windowMs: 10 * MINUTE_MS, max: 10 },
+  seatHolds: { windowMs: 10 * MINUTE_MS, max: 20 },
+  lockout: {
+    maxFailedAttempts: 5,
+    baseMinutes: 15,
+    maxMinutes: 24 * 60
+  }
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  // Results ranked or filtered by the live fare are priced in memory, so at
+  // most this many matching flights are considered: lowest (or highest) base
+  // fare first for price sorts, otherwise in the requested order. Responses
+  // that hit the cap say so with pagination.truncated
+  maxPricedCandidates: 500
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  gstRate: 0.05,
+  perPassengerFees: [
+    { code: 'UDF', name: 'User Development Fee', amount: 61 },
+    { code: 'ASF', name: 'Aviation Security Fee', amount: 236 }
+  ]
+};
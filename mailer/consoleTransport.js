@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+const createConsoleTransport = () => {
+  const send = async (message) => {
+    const id = crypto.randomUUID();
+    console.log(`Mail ${id}\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    return { id };
+  };
+
+  return {
+    name: 'console',
+    send
+  };
+};
+
+module.exports = {
+  createConsoleTransport
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes every message as a JSON file so development and test runs can read
+// the links that would otherwise arrive by email.
+const createFileTransport = ({ directory }) => {
+  const send = async (message) => {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${sentAt.getTime()}-${id}.json`),
+      JSON.stringify({ id, sentAt, ...message }, null, 2)
+    );
+
+    return { id };
+  };
+
+  return {
+    name: 'file',
+    directory,
+    send
+  };
+};
+
+module.exports = {
+  createFileTransport
+};
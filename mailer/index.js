@@ -0,0 +1,61 @@
+const path = require('path');
+const { AppError } = require('../utils/errors');
+const { createConsoleTransport } = require('./consoleTransport');
+const { createFileTransport } = require('./fileTransport');
+
+// A transport exposes send({ from, to, subject, text }) and resolves to
+// { id } once the message has been handed off.
+
+class MailerError extends AppError {
+  constructor(message) {
+    super(message, 502, 'MAIL_TRANSPORT_ERROR');
+  }
+}
+
+const factories = {
+  console: createConsoleTransport,
+  file: () => createFileTransport({
+    directory: process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')
+  })
+};
+
+const instances = {};
+
+const registerMailTransport = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+// No default: the console transport prints reset and verification links
+const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    throw new MailerError('No mail transport configured, set MAIL_TRANSPORT');
+  }
+
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new MailerError(`Unknown mail transport "${name}"`);
+    }
+    instances[name] = factory();
+  }
+
+  return instances[name];
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@flights.local',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  MailerError,
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
@@ -0,0 +1,8 @@
+// Forwards a rejected handler promise to the error middleware
+const asyncHandler = (handler) => {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+};
+
+module.exports = asyncHandler;
@@ -1,49 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../utils/authTokens');
+const { setContextUser } = require('../utils/requestContext');
+const { UnauthorizedError } = require('../utils/errors');
+
+const verifyToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
+    }
+    throw new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
+  }
+};
 
 const auth = async (req, res, next) => {
   try {
-    
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No authentication token, access denied'
-      });
+      throw new UnauthorizedError('No authentication token, access denied');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyToken(token);
     
-    const user = await User.findById(decoded.id);
+    const [user, sessionActive] = await Promise.all([
+      User.findById(decoded.id),
+      decoded.sid ? isSessionActive(decoded.sid) : false
+    ]);
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found, authorization denied'
-      });
+      throw new UnauthorizedError('User not found, authorization denied');
+    }
+
+    if (decoded.tv !== user.tokenVersion || !sessionActive) {
+      throw new UnauthorizedError('Token has been revoked', 'TOKEN_REVOKED');
     }
 
+    req.sessionId = decoded.sid;
+
     req.user = user;
+    setContextUser(user);
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expired'
-      });
-    }
-    res.status(500).json({
-      success: false,
-      message: 'Server error during authentication'
-    });
+    next(error);
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
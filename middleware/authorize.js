@@ -0,0 +1,13 @@
+const { ForbiddenError } = require('../utils/errors');
+
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+
+    next();
+  };
+};
+
+module.exports = authorize;
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { AppError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Every error response has the same envelope:
+//   { success: false, code, message, errors?, details? }
+// `code` is stable for clients to branch on, `errors` lists field-level
+// validation problems ({ path, msg }) and `details` carries extra context
+// such as conflicting seats. Outside production, unexpected errors also
+// include `debug` with the original message and stack.
+
+const SPEC_ERROR_CODES = {
+  400: 'VALIDATION_ERROR',
+  404: 'ROUTE_NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'RESPONSE_VALIDATION_ERROR'
+};
+
+// '/body/passengers/0/age' -> 'passengers[0].age', the same paths
+// express-validator reports
+const specPath = (path = '') => path
+  .replace(/^\/?(body|query|params|headers|response)\/?/, '')
+  .split('/')
+  .filter(Boolean)
+  .reduce((out, part) => (/^\d+$/.test(part) ? `${out}[${part}]` : out ? `${out}.${part}` : part), '');
+
+// Errors raised by the OpenAPI validator (see middleware/openapi.js)
+const fromSpecError = (error) => ({
+  statusCode: error.status,
+  code: SPEC_ERROR_CODES[error.status] || 'INVALID_REQUEST',
+  message: error.status === 400 ? 'Validation failed' : error.message,
+  errors: error.errors.map(err => ({ path: specPath(err.path), msg: err.message }))
+});
+
+const fromError = (error) => {
+  if (error instanceof AppError) {
+    return {
+      statusCode: error.statusCode,
+      code: error.code,
+      message: error.message,
+      errors: error.errors,
+      details: error.details
+    };
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return {
+      statusCode: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+    };
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return error.kind === 'ObjectId'
+      ? { statusCode: 404, code: 'NOT_FOUND', message: 'Resource not found' }
+      : { statusCode: 400, code: 'INVALID_VALUE', message: `Invalid value for ${error.path}` };
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyPattern || error.keyValue || {});
+    return {
+      statusCode: 409,
+      code: 'DUPLICATE_KEY',
+      message: fields.length > 0 ? `A record with this ${fields.join(', ')} already exists` : 'Duplicate record',
+      details: { fields }
+    };
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return { statusCode: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+
+  if (error.type === 'entity.too.large') {
+    return { statusCode: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+
+  if (Number.isInteger(error.status) && Array.isArray(error.errors)) {
+    return fromSpecError(error);
+  }
+
+  return { statusCode: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+};
+
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+};
+
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const { statusCode, code, message, errors, details } = fromError(error);
+
+  if (statusCode >= 500) {
+    logger.error('Unhandled error', { method: req.method, path: req.originalUrl, error });
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    code,
+    message,
+    ...(errors && { errors }),
+    ...(details && { details }),
+    ...(statusCode >= 500 && process.env.NODE_ENV !== 'production' && {
+      debug: { message: error.message, stack: error.stack }
+    })
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
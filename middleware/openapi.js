@@ -0,0 +1,33 @@
+const OpenApiValidator = require('express-openapi-validator');
+const apiSpec = require('../openapi');
+
+// Response validation sees the object handed to res.json, so Mongoose
+// documents, ObjectIds and Dates are serialized first to validate exactly
+// what the client receives. Mounted after the validator so it runs first.
+const serializeJson = (req, res, next) => {
+  const json = res.json;
+  res.json = function(body) {
+    return json.call(this, body === undefined ? body : JSON.parse(JSON.stringify(body)));
+  };
+  next();
+};
+
+// Requests to documented routes are checked against the spec before the
+// routers run; routes the spec does not cover (airports, schedules,
+// payments) pass straight through. Responses are only checked in test mode.
+const openapiValidator = () => {
+  const validateResponses = process.env.NODE_ENV === 'test';
+
+  return [
+    ...OpenApiValidator.middleware({
+      apiSpec,
+      validateRequests: { allErrors: true },
+      validateResponses,
+      validateSecurity: false,
+      ignoreUndocumented: true
+    }),
+    ...(validateResponses ? [serializeJson] : [])
+  ];
+};
+
+module.exports = openapiValidator;
@@ -0,0 +1,57 @@
+const { getRateLimitStore } = require('../rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const setRateLimitHeaders = (res, { max, count, resetAt }) => {
+  res.set('RateLimit-Limit', String(max));
+  res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+  res.set('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+};
+
+// keyGenerator returns the identity to count (IP, account, user); returning
+// nothing skips the limiter, e.g. when the body has no email to key on.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  return async (req, res, next) => {
+    try {
+      const identity = keyGenerator(req);
+      if (!identity) {
+        return next();
+      }
+
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${identity}`, windowMs);
+      setRateLimitHeaders(res, { max, count, resetAt });
+
+      if (count > max) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        return next(new TooManyRequestsError(message));
+      }
+
+      next();
+    } catch (error) {
+      // An unavailable store should not take the API down with it
+      logger.error('Rate limit store unavailable', { limiter: name, error });
+      next();
+    }
+  };
+};
+
+const byIp = (req) => req.ip;
+
+const byEmail = (req) => {
+  return typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+};
+
+const byUser = (req) => req.user?._id.toString();
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byEmail,
+  byUser
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// An ID set by a proxy or calling service is kept so one ID can be followed
+// across systems; anything missing or malformed gets a fresh one.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,29 @@
+const { AsyncResource } = require('async_hooks');
+const logger = require('../utils/logger');
+
+const requestLogger = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  // 'finish' fires outside the request's async context, so the listener is
+  // bound to it to keep the request ID and user on the line
+  res.on('finish', AsyncResource.bind(() => {
+    const fields = {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+    };
+
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else if (res.statusCode >= 400) {
+      logger.warn('Request rejected', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  }));
+
+  next();
+};
+
+module.exports = requestLogger;
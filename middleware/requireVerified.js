@@ -0,0 +1,11 @@
+const { ForbiddenError } = require('../utils/errors');
+
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return next(new ForbiddenError('Please verify your email address before booking', 'EMAIL_NOT_VERIFIED'));
+  }
+
+  next();
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,14 @@
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Runs after the express-validator chains of a route
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationError(errors.array()));
+  }
+
+  next();
+};
+
+module.exports = validate;
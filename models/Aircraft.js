@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { CABIN_CLASSES } = require('../config/cabins');
+
+const cabinSchema = new mongoose.Schema({
+  cabinClass: {
+    type: String,
+    required: [true, 'Cabin class is required'],
+    enum: CABIN_CLASSES
+  },
+  startRow: {
+    type: Number,
+    required: [true, 'Cabin start row is required'],
+    min: 1
+  },
+  endRow: {
+    type: Number,
+    required: [true, 'Cabin end row is required'],
+    min: 1
+  },
+  layout: {
+    type: String,
+    required: [true, 'Cabin seat layout is required'],
+    uppercase: true,
+    match: [/^[A-Z]+(-[A-Z]+)*$/, 'Layout must be seat letters with "-" marking aisles, e.g. ABC-DEF']
+  }
+}, {
+  _id: false
+});
+
+const aircraftSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Aircraft code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Aircraft name is required'],
+    trim: true
+  },
+  cabins: {
+    type: [cabinSchema],
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0;
+      },
+      message: 'At least one cabin is required'
+    }
+  },
+  exitRows: {
+    type: [Number],
+    default: []
+  },
+  blockedSeats: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+aircraftSchema.methods.getSeats = function() {
+  const seats = [];
+
+  this.cabins.forEach(cabin => {
+    const groups = cabin.layout.split('-');
+
+    for (let row = cabin.startRow; row <= cabin.endRow; row++) {
+      groups.forEach((group, groupIdx) => {
+        group.split('').forEach((column, colIdx) => {
+          const isWindow = (groupIdx === 0 && colIdx === 0) ||
+            (groupIdx === groups.length - 1 && colIdx === group.length - 1);
+          const isAisle = !isWindow && (colIdx === 0 || colIdx === group.length - 1);
+          const seatNumber = `${row}${column}`;
+
+          seats.push({
+            seatNumber,
+            row,
+            column,
+            cabinClass: cabin.cabinClass,
+            position: isWindow ? 'window' : isAisle ? 'aisle' : 'middle',
+            exitRow: this.exitRows.includes(row),
+            blocked: this.blockedSeats.includes(seatNumber)
+          });
+        });
+      });
+    }
+  });
+
+  return seats;
+};
+
+aircraftSchema.methods.getBookableSeats = function() {
+  return this.getSeats().filter(seat => !seat.blocked);
+};
+
+module.exports = mongoose.model('Aircraft', aircraftSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Booking', 'Flight']
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityType'
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    role: {
+      type: String,
+      required: true,
+      enum: ['user', 'admin', 'system']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String
+  },
+  requestId: String,
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+auditLogSchema.index({ entityType: 1, entity: 1, createdAt: 1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CABIN_CLASSES } = require('../config/cabins');
 
 const passengerSchema = new mongoose.Schema({
   firstName: {
@@ -23,10 +24,352 @@ const passengerSchema = new mongoose.Schema({
   },
   seatNumber: {
     type: String,
-    required: [true, 'Seat number is required']
+    required: [true, 'Seat number is required'],
+    uppercase: true,
+    trim: true
+  },
+  cabinClass: {
+    type: String,
+    required: [true, 'Cabin class is required'],
+    enum: CABIN_CLASSES
+  },
+  fareCode: {
+    type: String,
+    required: [true, 'Fare code is required']
+  },
+  fareRules: {
+    refundable: {
+      type: Boolean,
+      default: false
+    },
+    changeable: {
+      type: Boolean,
+      default: true
+    },
+    changeFee: {
+      type: Number,
+      default: 0
+    },
+    cancellationFee: {
+      type: Number,
+      default: 0
+    }
+  },
+  basePrice: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: [true, 'Passenger fare price is required'],
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  nameCorrections: {
+    type: Number,
+    min: 0,
+    default: 0
   }
 });
 
+const cancelledPassengerSchema = passengerSchema.clone();
+cancelledPassengerSchema.add({
+  cancelledAt: {
+    type: Date,
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+const segmentPassengerSchema = new mongoose.Schema({
+  passenger: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  seatNumber: {
+    type: String,
+    required: [true, 'Seat number is required'],
+    uppercase: true,
+    trim: true
+  },
+  cabinClass: {
+    type: String,
+    required: [true, 'Cabin class is required'],
+    enum: CABIN_CLASSES
+  },
+  fareCode: {
+    type: String,
+    required: [true, 'Fare code is required']
+  },
+  fareRules: {
+    refundable: Boolean,
+    changeable: Boolean,
+    changeFee: Number,
+    cancellationFee: Number
+  },
+  basePrice: {
+    type: Number,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+const segmentSchema = new mongoose.Schema({
+  journey: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  flight: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flight',
+    required: true
+  },
+  passengers: {
+    type: [segmentPassengerSchema],
+    default: []
+  },
+  // False until the leg's seats are taken; releases skip legs never reserved
+  seatsReserved: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  _id: false
+});
+
+const taxSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const paymentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  intentId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  paidAt: {
+    type: Date
+  },
+  failureReason: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const refundLineSchema = new mongoose.Schema({
+  passenger: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  fare: {
+    type: Number,
+    min: 0
+  },
+  fee: {
+    type: Number,
+    min: 0
+  },
+  fareRefund: {
+    type: Number,
+    min: 0
+  },
+  taxRefund: {
+    type: Number,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+// The part of a refund returned to one payment intent
+const refundAllocationSchema = new mongoose.Schema({
+  intentId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed']
+  },
+  providerRefundId: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fareRefund: {
+    type: Number,
+    min: 0
+  },
+  taxRefund: {
+    type: Number,
+    min: 0
+  },
+  fee: {
+    type: Number,
+    min: 0
+  },
+  feePercent: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  hoursBeforeDeparture: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'not_applicable'],
+    default: 'pending'
+  },
+  providerRefundId: {
+    type: String
+  },
+  allocations: {
+    type: [refundAllocationSchema],
+    default: []
+  },
+  passengers: {
+    type: [refundLineSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+const modificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['seat_change', 'name_correction', 'flight_change']
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  fareDifference: {
+    type: Number,
+    default: 0
+  },
+  changeFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  amountDue: {
+    type: Number,
+    default: 0
+  },
+  // A flight change with money to collect is applied only once that payment
+  // succeeds; until then the new seats stay reserved and the booking fields
+  // to set wait here.
+  pendingUpdate: {
+    flight: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flight'
+    },
+    fields: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  payment: {
+    intentId: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'refunded']
+    },
+    dueAt: {
+      type: Date
+    },
+    paidAt: {
+      type: Date
+    },
+    failureReason: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
 const bookingSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,6 +381,15 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Flight',
     required: [true, 'Flight is required']
   },
+  tripType: {
+    type: String,
+    enum: ['one_way', 'round_trip', 'multi_city'],
+    default: 'one_way'
+  },
+  segments: {
+    type: [segmentSchema],
+    default: []
+  },
   passengers: {
     type: [passengerSchema],
     validate: {
@@ -47,20 +399,48 @@ const bookingSchema = new mongoose.Schema({
       message: 'At least one passenger is required'
     }
   },
+  cancelledPassengers: {
+    type: [cancelledPassengerSchema],
+    default: []
+  },
   totalSeats: {
     type: Number,
     required: [true, 'Total seats is required'],
     min: 1
   },
+  fareTotal: {
+    type: Number,
+    min: 0
+  },
+  taxes: {
+    type: [taxSchema],
+    default: []
+  },
+  taxTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
     min: 0
   },
+  pricedAt: {
+    type: Date
+  },
+  quoteId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   bookingStatus: {
     type: String,
     enum: ['confirmed', 'cancelled', 'pending'],
-    default: 'confirmed'
+    default: 'pending'
+  },
+  cancellationReason: {
+    type: String
   },
   bookingReference: {
     type: String,
@@ -68,8 +448,22 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['paid', 'pending', 'failed'],
-    default: 'paid'
+    enum: ['paid', 'pending', 'failed', 'refunded', 'partially_refunded'],
+    default: 'pending'
+  },
+  payment: {
+    type: paymentSchema
+  },
+  paymentDueAt: {
+    type: Date
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  modifications: {
+    type: [modificationSchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -80,15 +474,12 @@ bookingSchema.pre('save', function(next) {
     this.bookingReference = 'BK' + Date.now() + Math.floor(Math.random() * 1000);
   }
 
-  this.passengers.forEach((p, idx) => {
-    if (!p.seatNumber) {
-      const row = Math.floor(idx / 6) + 1;
-      const col = String.fromCharCode(65 + (idx % 6)); 
-      p.seatNumber = `${row}${col}`;
-    }
-  });
-
   next();
 });
 
+bookingSchema.index({ 'payment.intentId': 1 });
+bookingSchema.index({ 'modifications.payment.intentId': 1 }, { sparse: true });
+bookingSchema.index({ flight: 1, paymentStatus: 1, paymentDueAt: 1 });
+bookingSchema.index({ 'segments.flight': 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
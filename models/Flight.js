@@ -1,6 +1,47 @@
 const mongoose = require('mongoose');
+const { CABIN_CLASSES } = require('../config/cabins');
+const fareSchema = require('./fareSchema');
+const { airportTimezone } = require('../utils/airports');
+const { formatLocal, formatDuration } = require('../utils/timezones');
+
+const cabinInventorySchema = new mongoose.Schema({
+  cabinClass: {
+    type: String,
+    required: true,
+    enum: CABIN_CLASSES
+  },
+  availableSeats: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const seatHoldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seats: {
+    type: [String],
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
 
 const flightSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlightSchedule'
+  },
   airline: {
     type: String,
     required: true,
@@ -25,11 +66,29 @@ const flightSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  aircraft: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Aircraft',
+    required: true
+  },
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  fares: {
+    type: [fareSchema],
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0;
+      },
+      message: 'At least one fare is required'
+    }
+  },
+  cabins: {
+    type: [cabinInventorySchema],
+    default: []
+  },
   availableSeats: {
     type: Number,
     required: true,
@@ -43,19 +102,119 @@ const flightSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  durationMinutes: {
+    type: Number,
+    min: 1
+  },
   duration: {
-    type: String,
-    required: true
+    type: String
   },
   operationalDays: {
     type: [Number],
     required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  bookedSeats: {
+    type: [String],
+    default: []
+  },
+  seatHolds: {
+    type: [seatHoldSchema],
+    default: [],
+    select: false
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+flightSchema.virtual('departureLocal').get(function() {
+  return this.departure ? formatLocal(this.departure, airportTimezone(this.origin)) : undefined;
+});
+
+flightSchema.virtual('arrivalLocal').get(function() {
+  return this.arrival ? formatLocal(this.arrival, airportTimezone(this.destination)) : undefined;
+});
+
+flightSchema.virtual('originTimezone').get(function() {
+  return this.origin ? airportTimezone(this.origin) : undefined;
+});
+
+flightSchema.virtual('destinationTimezone').get(function() {
+  return this.destination ? airportTimezone(this.destination) : undefined;
+});
+
+flightSchema.pre('validate', function() {
+  if (this.departure && this.arrival && (this.isModified('departure') || this.isModified('arrival'))) {
+    this.durationMinutes = Math.round((this.arrival - this.departure) / 60000);
+    this.duration = formatDuration(this.durationMinutes);
+  }
+});
+
+flightSchema.pre('validate', function() {
+  if (!this.isModified('fares') || this.fares.length === 0) {
+    return;
+  }
+
+  const keys = this.fares.map(fare => `${fare.cabinClass}/${fare.code}`);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('fares', 'Fare codes must be unique within a cabin');
+  }
+
+  this.price = Math.min(...this.fares.map(fare => fare.price));
+});
+
+flightSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('aircraft') && !this.isModified('fares')) {
+    return;
+  }
+
+  const aircraft = await mongoose.model('Aircraft').findById(this.aircraft);
+  if (!aircraft) {
+    this.invalidate('aircraft', 'Aircraft not found');
+    return;
+  }
+
+  const cabinClasses = [...new Set(aircraft.cabins.map(cabin => cabin.cabinClass))];
+  const unknownCabins = this.fares
+    .map(fare => fare.cabinClass)
+    .filter(cabinClass => !cabinClasses.includes(cabinClass));
+  if (unknownCabins.length > 0) {
+    this.invalidate('fares', `Aircraft has no ${[...new Set(unknownCabins)].join(', ')} cabin`);
+  }
+
+  if (!this.isNew && !this.isModified('aircraft')) {
+    return;
+  }
+
+  const seats = aircraft.getBookableSeats()
+    .filter(seat => !this.bookedSeats.includes(seat.seatNumber));
+
+  this.cabins = cabinClasses.map(cabinClass => ({
+    cabinClass,
+    availableSeats: seats.filter(seat => seat.cabinClass === cabinClass).length
+  }));
+  this.availableSeats = seats.length;
 });
 
 flightSchema.index({ origin: 1, destination: 1, departure: 1 });
 flightSchema.index({ price: 1 });
+flightSchema.index(
+  { schedule: 1, departure: 1 },
+  { unique: true, partialFilterExpression: { schedule: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Flight', flightSchema);
\ No newline at end of file
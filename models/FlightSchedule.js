@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const fareSchema = require('./fareSchema');
+
+const flightScheduleSchema = new mongoose.Schema({
+  airline: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  airlineCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  flightNumber: {
+    type: Number,
+    required: true
+  },
+  origin: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  destination: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  aircraft: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Aircraft',
+    required: true
+  },
+  fares: {
+    type: [fareSchema],
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0;
+      },
+      message: 'At least one fare is required'
+    }
+  },
+  departureTime: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Departure time must be in HH:mm format']
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  operationalDays: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0;
+      },
+      message: 'At least one operational day is required'
+    }
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validTo: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || value >= this.validFrom;
+      },
+      message: 'Schedule must end after it starts'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  generatedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+flightScheduleSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('aircraft') && !this.isModified('fares')) {
+    return;
+  }
+
+  const keys = this.fares.map(fare => `${fare.cabinClass}/${fare.code}`);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('fares', 'Fare codes must be unique within a cabin');
+  }
+
+  const aircraft = await mongoose.model('Aircraft').findById(this.aircraft);
+  if (!aircraft) {
+    this.invalidate('aircraft', 'Aircraft not found');
+    return;
+  }
+
+  const cabinClasses = aircraft.cabins.map(cabin => cabin.cabinClass);
+  const unknownCabins = this.fares
+    .map(fare => fare.cabinClass)
+    .filter(cabinClass => !cabinClasses.includes(cabinClass));
+  if (unknownCabins.length > 0) {
+    this.invalidate('fares', `Aircraft has no ${[...new Set(unknownCabins)].join(', ')} cabin`);
+  }
+});
+
+flightScheduleSchema.index({ airlineCode: 1, flightNumber: 1, validFrom: 1 });
+flightScheduleSchema.index({ active: 1, validTo: 1 });
+
+module.exports = mongoose.model('FlightSchedule', flightScheduleSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { lockout } = require('../config/rateLimits');
+
+// Keyed by email rather than by user so an address that is not registered
+// locks exactly like one that is, and the response says nothing about which.
+const loginLockoutSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date
+}, {
+  timestamps: true
+});
+
+// Forgotten once an address has been quiet for twice the longest lockout
+loginLockoutSchema.index({ updatedAt: 1 }, { expireAfterSeconds: lockout.maxMinutes * 60 * 2 });
+
+module.exports = mongoose.model('LoginLockout', loginLockoutSchema);
@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const HOUR_MS = 60 * 60 * 1000;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,6 +28,37 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide a phone number']
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  passwordChangedAt: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,6 +71,11 @@ userSchema.pre('save', async function(next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  // Bumping the version invalidates every access token issued before the change
+  if (!this.isNew) {
+    this.tokenVersion += 1;
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -44,4 +83,28 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Only the hash of a verification or reset token is stored, so a leaked
+// database does not hand out working links.
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * HOUR_MS);
+  return token;
+};
+
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { CABIN_CLASSES } = require('../config/cabins');
+
+const fareSchema = new mongoose.Schema({
+  cabinClass: {
+    type: String,
+    required: true,
+    enum: CABIN_CLASSES
+  },
+  code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  baggage: {
+    cabinKg: {
+      type: Number,
+      default: 7,
+      min: 0
+    },
+    checkedKg: {
+      type: Number,
+      default: 15,
+      min: 0
+    }
+  },
+  refundable: {
+    type: Boolean,
+    default: false
+  },
+  changeable: {
+    type: Boolean,
+    default: true
+  },
+  changeFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cancellationFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+module.exports = fareSchema;
@@ -0,0 +1,81 @@
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+const isoDate = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}', example: '2025-12-24' };
+const nonEmpty = { type: 'string', minLength: 1 };
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema } }
+});
+
+// Success bodies share the { success, message?, data } envelope; `extra`
+// documents the few top-level siblings of `data` (count, pagination, ...)
+const envelope = (data, extra = {}) => ({
+  type: 'object',
+  required: ['success', ...(data ? ['data'] : [])],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    ...(data && { data }),
+    ...extra
+  }
+});
+
+const success = (description, data, extra) => ({
+  description,
+  content: { 'application/json': { schema: envelope(data, extra) } }
+});
+
+const errorResponse = {
+  description: 'Error envelope; `code` says what went wrong',
+  content: { 'application/json': { schema: ref('ErrorResponse') } }
+};
+
+// Builds an operation; every operation documents the shared error envelope as
+// its default response so error bodies are validated too.
+const operation = ({ tags, summary, description, secured = true, parameters, requestBody, responses }) => ({
+  tags,
+  summary,
+  ...(description && { description }),
+  ...(secured ? {} : { security: [] }),
+  ...(parameters && { parameters }),
+  ...(requestBody && { requestBody }),
+  responses: {
+    ...responses,
+    default: errorResponse
+  }
+});
+
+const pathParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string' }
+});
+
+// Clients such as browsers and axios leave ':' and ',' unencoded (times,
+// offsets, comma-separated lists), so reserved characters are allowed
+const queryParam = (name, schema, description, required = false) => ({
+  name,
+  in: 'query',
+  required,
+  allowReserved: true,
+  ...(description && { description }),
+  schema
+});
+
+module.exports = {
+  ref,
+  objectId,
+  dateTime,
+  isoDate,
+  nonEmpty,
+  jsonBody,
+  success,
+  operation,
+  pathParam,
+  queryParam
+};
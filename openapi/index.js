@@ -0,0 +1,33 @@
+const { version } = require('../package.json');
+const schemas = require('./schemas');
+
+// The document is built from the same config the routes validate against
+// (cabin classes, trip types, sort options, ...) so the two cannot disagree.
+// It is used to validate every request, and every response in test mode.
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Flight Booking API',
+    version,
+    description: 'Search flights, hold seats and book one-way, round-trip and multi-city itineraries. ' +
+      'Errors always use the ErrorResponse envelope.'
+  },
+  servers: [{ url: '/api' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Auth', description: 'Accounts, sessions and email verification' },
+    { name: 'Flights', description: 'Search, seat maps, quotes and holds' },
+    { name: 'Bookings', description: 'Booking, cancelling and changing trips' }
+  ],
+  paths: {
+    ...require('./paths/auth'),
+    ...require('./paths/flights'),
+    ...require('./paths/bookings')
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas
+  }
+};
@@ -0,0 +1,119 @@
+const { ref, nonEmpty, jsonBody, success, operation } = require('../helpers');
+
+const tags = ['Auth'];
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 6 };
+
+const body = (properties, required = Object.keys(properties)) => jsonBody({
+  type: 'object',
+  required,
+  properties
+});
+
+const session = (description) => success(description, ref('Session'));
+const message = (description) => success(description);
+
+module.exports = {
+  '/auth/register': {
+    post: operation({
+      tags,
+      summary: 'Create an account',
+      description: 'Sends a verification email; bookings need a verified address.',
+      secured: false,
+      requestBody: body({ name: nonEmpty, email, password, phone: nonEmpty }),
+      responses: { 201: session('Account created and signed in') }
+    })
+  },
+  '/auth/login': {
+    post: operation({
+      tags,
+      summary: 'Sign in with email and password',
+      description: 'Repeated failures lock the account (423 with Retry-After).',
+      secured: false,
+      requestBody: body({ email, password: nonEmpty }),
+      responses: { 200: session('Signed in') }
+    })
+  },
+  '/auth/me': {
+    get: operation({
+      tags,
+      summary: 'Current user',
+      responses: {
+        200: success('The signed-in user', {
+          type: 'object',
+          required: ['user'],
+          properties: { user: ref('User') }
+        })
+      }
+    })
+  },
+  '/auth/refresh': {
+    post: operation({
+      tags,
+      summary: 'Rotate a refresh token',
+      description: 'Refresh tokens are single-use; presenting a rotated one revokes the whole session.',
+      secured: false,
+      requestBody: body({ refreshToken: nonEmpty }),
+      responses: { 200: session('New access and refresh tokens') }
+    })
+  },
+  '/auth/logout': {
+    post: operation({
+      tags,
+      summary: 'Revoke the session, or every session',
+      secured: false,
+      requestBody: body({ refreshToken: nonEmpty, allSessions: { type: 'boolean' } }, ['refreshToken']),
+      responses: { 200: message('Logged out') }
+    })
+  },
+  '/auth/password': {
+    put: operation({
+      tags,
+      summary: 'Change password',
+      description: 'Signs out every other session and returns fresh tokens for this one.',
+      requestBody: body({ currentPassword: nonEmpty, newPassword: password }),
+      responses: { 200: session('Password changed') }
+    })
+  },
+  '/auth/verify-email': {
+    post: operation({
+      tags,
+      summary: 'Confirm an email address',
+      secured: false,
+      requestBody: body({ token: nonEmpty }),
+      responses: {
+        200: success('Email verified', {
+          type: 'object',
+          required: ['user'],
+          properties: { user: ref('User') }
+        })
+      }
+    })
+  },
+  '/auth/resend-verification': {
+    post: operation({
+      tags,
+      summary: 'Send a new verification email',
+      responses: { 200: message('Verification email sent') }
+    })
+  },
+  '/auth/forgot-password': {
+    post: operation({
+      tags,
+      summary: 'Request a password reset email',
+      description: 'Always answers the same way so it cannot be used to discover accounts.',
+      secured: false,
+      requestBody: body({ email }),
+      responses: { 200: message('Reset email sent if the account exists') }
+    })
+  },
+  '/auth/reset-password': {
+    post: operation({
+      tags,
+      summary: 'Set a new password with a reset token',
+      secured: false,
+      requestBody: body({ token: nonEmpty, password }),
+      responses: { 200: message('Password reset') }
+    })
+  }
+};
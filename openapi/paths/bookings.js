@@ -0,0 +1,220 @@
+const connectionRules = require('../../config/connections');
+const { TRIP_TYPES } = require('../../utils/itineraries');
+const {
+  ref,
+  objectId,
+  nonEmpty,
+  jsonBody,
+  success,
+  operation,
+  pathParam,
+  queryParam
+} = require('../helpers');
+
+const tags = ['Bookings'];
+const bookingId = pathParam('id', 'Booking ID');
+const booking = ref('Booking');
+
+const passengers = (seatProperties = {}) => ({
+  type: 'array',
+  minItems: 1,
+  items: {
+    allOf: [ref('PassengerInput')],
+    ...(Object.keys(seatProperties).length > 0 && {
+      required: Object.keys(seatProperties),
+      properties: seatProperties
+    })
+  }
+});
+
+const seatChanges = (extra = {}) => ({
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['passengerId', 'seatNumber'],
+    properties: {
+      passengerId: objectId,
+      seatNumber: nonEmpty,
+      ...extra
+    }
+  }
+});
+
+const created = success('Booking created, awaiting payment', booking, {
+  payment: ref('PaymentIntent'),
+  priceChange: ref('PriceChange')
+});
+
+const withRefund = (description) => success(description, booking, { refund: ref('Refund') });
+
+module.exports = {
+  '/bookings': {
+    post: operation({
+      tags,
+      summary: 'Book seats on one flight',
+      description: 'Needs a verified email. Seats are held until the payment is due; ' +
+        'a quote token from POST /flights/{id}/quote books at the quoted price.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['flightId', 'passengers'],
+        properties: {
+          flightId: nonEmpty,
+          holdId: objectId,
+          quoteToken: nonEmpty,
+          passengers: passengers({ seatNumber: nonEmpty })
+        }
+      }),
+      responses: { 201: created }
+    }),
+    get: operation({
+      tags,
+      summary: 'The signed-in user\'s bookings',
+      responses: {
+        200: success('Bookings, newest first', { type: 'array', items: booking }, {
+          count: { type: 'integer' }
+        })
+      }
+    })
+  },
+  '/bookings/itinerary': {
+    post: operation({
+      tags,
+      summary: 'Book a connecting, round-trip or multi-city itinerary',
+      description: 'Segments are grouped into journeys by `journey`; each journey must connect.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['segments', 'passengers'],
+        properties: {
+          tripType: { type: 'string', enum: TRIP_TYPES, default: 'one_way' },
+          segments: {
+            type: 'array',
+            minItems: 2,
+            maxItems: connectionRules.maxJourneys * (connectionRules.maxStops + 1),
+            items: {
+              type: 'object',
+              required: ['flightId', 'seatNumbers'],
+              properties: {
+                journey: { type: 'integer', minimum: 0, maximum: connectionRules.maxJourneys - 1 },
+                flightId: objectId,
+                holdId: objectId,
+                seatNumbers: { type: 'array', minItems: 1, items: nonEmpty }
+              }
+            }
+          },
+          passengers: passengers()
+        }
+      }),
+      responses: { 201: created }
+    })
+  },
+  '/bookings/{id}': {
+    get: operation({
+      tags,
+      summary: 'One booking',
+      parameters: [bookingId],
+      responses: { 200: success('Booking', booking) }
+    })
+  },
+  '/bookings/{id}/audit': {
+    get: operation({
+      tags,
+      summary: 'Audit history of a booking (admin)',
+      description: 'Every change to the booking, oldest first, with who made it and the state before and after.',
+      parameters: [
+        bookingId,
+        queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 50 })
+      ],
+      responses: {
+        200: success('Audit entries', { type: 'array', items: ref('AuditEntry') }, {
+          count: { type: 'integer' },
+          pagination: ref('Pagination')
+        })
+      }
+    })
+  },
+  '/bookings/{id}/cancel': {
+    put: operation({
+      tags,
+      summary: 'Cancel a booking',
+      description: 'The refund follows the fare rules and the cancellation policy.',
+      parameters: [bookingId],
+      responses: { 200: withRefund('Booking cancelled') }
+    })
+  },
+  '/bookings/{id}/passengers/cancel': {
+    put: operation({
+      tags,
+      summary: 'Cancel some passengers of a booking',
+      parameters: [bookingId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['passengerIds'],
+        properties: {
+          passengerIds: { type: 'array', minItems: 1, items: objectId }
+        }
+      }),
+      responses: { 200: withRefund('Passengers cancelled') }
+    })
+  },
+  '/bookings/{id}/seats': {
+    patch: operation({
+      tags,
+      summary: 'Change seats',
+      parameters: [bookingId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['seats'],
+        properties: { seats: seatChanges() }
+      }),
+      responses: { 200: success('Seats changed', booking) }
+    })
+  },
+  '/bookings/{id}/passengers/{passengerId}': {
+    patch: operation({
+      tags,
+      summary: 'Correct a passenger name',
+      description: 'Only small spelling corrections are allowed.',
+      parameters: [bookingId, pathParam('passengerId', 'Passenger ID')],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          firstName: nonEmpty,
+          lastName: nonEmpty
+        }
+      }),
+      responses: { 200: success('Passenger name corrected', booking) }
+    })
+  },
+  '/bookings/{id}/flight': {
+    patch: operation({
+      tags,
+      summary: 'Move a booking to another flight',
+      description: 'Refunds a cheaper fare straight away. When the fare difference plus the change fee is owed, the new seats are reserved and the booking moves only once that payment succeeds; a failed or expired payment releases them.',
+      parameters: [bookingId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['flightId', 'seats'],
+        properties: {
+          flightId: objectId,
+          seats: seatChanges({ fareCode: nonEmpty })
+        }
+      }),
+      responses: {
+        200: success('Booking moved', booking, {
+          fareDifference: { type: 'number' },
+          changeFee: { type: 'number' },
+          amountDue: { type: 'number' },
+          refund: ref('Refund')
+        }),
+        202: success('Flight change awaiting payment', booking, {
+          fareDifference: { type: 'number' },
+          changeFee: { type: 'number' },
+          amountDue: { type: 'number' },
+          payment: ref('PaymentIntent')
+        })
+      }
+    })
+  }
+};
@@ -0,0 +1,322 @@
+const { CABIN_CLASSES } = require('../../config/cabins');
+const connectionRules = require('../../config/connections');
+const { SORT_OPTIONS, PROJECTABLE_FIELDS } = require('../../utils/flightFilters');
+const {
+  ref,
+  objectId,
+  isoDate,
+  nonEmpty,
+  jsonBody,
+  success,
+  operation,
+  pathParam,
+  queryParam
+} = require('../helpers');
+
+const tags = ['Flights'];
+const cabinClass = { type: 'string', enum: CABIN_CLASSES };
+const maxStops = { type: 'integer', minimum: 0, maximum: connectionRules.maxStops };
+const timeOfDay = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '06:00' };
+const flightId = pathParam('id', 'Flight ID');
+
+const paginationParams = [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+  {
+    ...queryParam('fields', { type: 'array', items: nonEmpty }, `Comma-separated subset of: ${PROJECTABLE_FIELDS.join(', ')}`),
+    style: 'form',
+    explode: false
+  }
+];
+
+const fareInput = {
+  type: 'object',
+  required: ['cabinClass', 'code', 'price'],
+  properties: {
+    cabinClass,
+    code: nonEmpty,
+    name: { type: 'string' },
+    price: { type: 'number', minimum: 0 },
+    baggage: {
+      type: 'object',
+      properties: {
+        cabinKg: { type: 'number', minimum: 0 },
+        checkedKg: { type: 'number', minimum: 0 }
+      }
+    },
+    refundable: { type: 'boolean' },
+    changeable: { type: 'boolean' },
+    changeFee: { type: 'number', minimum: 0 },
+    cancellationFee: { type: 'number', minimum: 0 }
+  }
+};
+
+const flightInput = (required) => ({
+  type: 'object',
+  ...(required && { required }),
+  properties: {
+    airline: nonEmpty,
+    airlineCode: nonEmpty,
+    flightNumber: { type: 'integer', minimum: 1 },
+    origin: { ...nonEmpty, description: 'Airport code' },
+    destination: { ...nonEmpty, description: 'Airport code' },
+    aircraft: objectId,
+    departure: { ...isoDate, example: '2025-12-24T06:00:00+05:30' },
+    arrival: { ...isoDate, example: '2025-12-24T08:10:00+05:30' },
+    operationalDays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+    fares: { type: 'array', minItems: 1, items: fareInput }
+  }
+});
+
+const flightList = { type: 'array', items: ref('Flight') };
+const itineraries = { type: 'array', items: ref('Itinerary') };
+const airports = { type: 'array', items: { type: 'string' } };
+
+module.exports = {
+  '/flights/search': {
+    get: operation({
+      tags,
+      summary: 'Search flights and connecting itineraries',
+      description: 'Origin and destination accept airport codes, cities or metro codes. ' +
+        'Itineraries (with connections) are only built when origin, destination and date are given.',
+      parameters: [
+        queryParam('origin', nonEmpty),
+        queryParam('destination', nonEmpty),
+        queryParam('date', isoDate, 'Departure day in the origin airport\'s local time'),
+        queryParam('returnDate', isoDate, 'Adds return itineraries'),
+        queryParam('cabinClass', cabinClass),
+        queryParam('maxStops', maxStops),
+        queryParam('minPrice', { type: 'number', minimum: 0 }),
+        queryParam('maxPrice', { type: 'number', minimum: 0 }),
+        queryParam('sortBy', { type: 'string', enum: SORT_OPTIONS, default: 'price_asc' }),
+        queryParam('maxDuration', { type: 'integer', minimum: 1 }, 'Minutes'),
+        queryParam('passengers', { type: 'integer', minimum: 1, maximum: 9, default: 1 }),
+        {
+          ...queryParam('airline', { type: 'array', items: nonEmpty }, 'Airline names or codes; repeat or comma-separate'),
+          style: 'form',
+          explode: true
+        },
+        queryParam('departureTimeFrom', timeOfDay),
+        queryParam('departureTimeTo', timeOfDay),
+        queryParam('arrivalTimeFrom', timeOfDay),
+        queryParam('arrivalTimeTo', timeOfDay),
+        ...paginationParams
+      ],
+      responses: {
+        200: success('Matching flights and itineraries', flightList, {
+          count: { type: 'integer' },
+          pagination: ref('Pagination'),
+          itineraries,
+          returnItineraries: itineraries,
+          searchCriteria: { type: 'object' }
+        })
+      }
+    })
+  },
+  '/flights/calendar': {
+    get: operation({
+      tags,
+      summary: 'Lowest fare per day',
+      description: 'Pass either a month or a date with a window of days either side.',
+      parameters: [
+        queryParam('origin', nonEmpty, undefined, true),
+        queryParam('destination', nonEmpty, undefined, true),
+        queryParam('month', { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', example: '2025-12' }),
+        queryParam('date', isoDate),
+        queryParam('window', { type: 'integer', minimum: 1, maximum: 15, default: 3 }),
+        queryParam('cabinClass', cabinClass)
+      ],
+      responses: {
+        200: success('Fare calendar', { type: 'array', items: ref('CalendarDay') }, {
+          count: { type: 'integer' },
+          cheapestDate: { type: 'string', nullable: true },
+          searchCriteria: { type: 'object' }
+        })
+      }
+    })
+  },
+  '/flights/search/multi-city': {
+    post: operation({
+      tags,
+      summary: 'Search itineraries for every leg of a multi-city trip',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['legs'],
+        properties: {
+          legs: {
+            type: 'array',
+            minItems: 2,
+            maxItems: connectionRules.maxJourneys,
+            items: {
+              type: 'object',
+              required: ['origin', 'destination', 'date'],
+              properties: {
+                origin: nonEmpty,
+                destination: nonEmpty,
+                date: isoDate
+              }
+            }
+          },
+          cabinClass,
+          maxStops,
+          sortBy: { type: 'string', enum: SORT_OPTIONS }
+        }
+      }),
+      responses: {
+        200: success('Itineraries per leg', {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              origin: { type: 'string' },
+              originAirports: airports,
+              destination: { type: 'string' },
+              destinationAirports: airports,
+              date: { type: 'string' },
+              itineraries
+            }
+          }
+        }, { count: { type: 'integer' } })
+      }
+    })
+  },
+  '/flights/{id}/booked-seats': {
+    get: operation({
+      tags,
+      summary: 'Booked and held seats',
+      parameters: [flightId],
+      responses: { 200: success('Seat occupancy', ref('BookedSeats')) }
+    })
+  },
+  '/flights/{id}/seat-map': {
+    get: operation({
+      tags,
+      summary: 'Seat map with the status of every seat',
+      parameters: [flightId],
+      responses: { 200: success('Seat map', ref('SeatMap')) }
+    })
+  },
+  '/flights/{id}/quote': {
+    post: operation({
+      tags,
+      summary: 'Lock in a price',
+      description: 'The returned quote token can be passed to POST /bookings to book at the quoted price.',
+      parameters: [flightId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['passengers'],
+        properties: {
+          passengers: { type: 'integer', minimum: 1 },
+          cabinClass: { ...cabinClass, default: 'economy' },
+          fareCode: nonEmpty
+        }
+      }),
+      responses: { 201: success('Signed price quote', ref('Quote')) }
+    })
+  },
+  '/flights/{id}/holds': {
+    post: operation({
+      tags,
+      summary: 'Hold seats while checking out',
+      parameters: [flightId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['seats'],
+        properties: {
+          seats: { type: 'array', minItems: 1, items: nonEmpty }
+        }
+      }),
+      responses: { 201: success('Seats held', ref('SeatHold')) }
+    })
+  },
+  '/flights/{id}/holds/{holdId}': {
+    delete: operation({
+      tags,
+      summary: 'Release a seat hold',
+      parameters: [flightId, pathParam('holdId', 'Seat hold ID')],
+      responses: { 200: success('Hold released') }
+    })
+  },
+  '/flights/{id}': {
+    get: operation({
+      tags,
+      summary: 'Flight with current fares',
+      parameters: [flightId],
+      responses: { 200: success('Flight', ref('Flight')) }
+    }),
+    put: operation({
+      tags,
+      summary: 'Update a flight (admin)',
+      parameters: [flightId],
+      requestBody: jsonBody(flightInput()),
+      responses: { 200: success('Flight updated', ref('Flight')) }
+    })
+  },
+  '/flights/{id}/audit': {
+    get: operation({
+      tags,
+      summary: 'Audit history of a flight (admin)',
+      parameters: [
+        flightId,
+        queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 50 })
+      ],
+      responses: {
+        200: success('Audit entries', { type: 'array', items: ref('AuditEntry') }, {
+          count: { type: 'integer' },
+          pagination: ref('Pagination')
+        })
+      }
+    })
+  },
+  '/flights/{id}/cancel': {
+    put: operation({
+      tags,
+      summary: 'Cancel a flight and its bookings (admin)',
+      description: 'Bookings on the flight are cancelled and refunded in full. Calling it again on a cancelled flight that still has active bookings resumes the cascade.',
+      parameters: [flightId],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { reason: nonEmpty } }
+          }
+        }
+      },
+      responses: {
+        200: success('Flight cancelled', ref('Flight'), {
+          summary: { type: 'object' }
+        })
+      }
+    })
+  },
+  '/flights': {
+    get: operation({
+      tags,
+      summary: 'List all flights',
+      parameters: paginationParams,
+      responses: {
+        200: success('Flights ordered by departure', flightList, {
+          count: { type: 'integer' },
+          pagination: ref('Pagination')
+        })
+      }
+    }),
+    post: operation({
+      tags,
+      summary: 'Create a flight (admin)',
+      requestBody: jsonBody(flightInput([
+        'airline',
+        'airlineCode',
+        'flightNumber',
+        'origin',
+        'destination',
+        'aircraft',
+        'departure',
+        'arrival',
+        'fares'
+      ])),
+      responses: { 201: success('Flight created', ref('Flight')) }
+    })
+  }
+};
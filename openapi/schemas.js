@@ -0,0 +1,426 @@
+const { CABIN_CLASSES } = require('../config/cabins');
+const { TRIP_TYPES } = require('../utils/itineraries');
+
+const { ref, objectId, dateTime } = require('./helpers');
+
+const gender = { type: 'string', enum: ['Male', 'Female', 'Other'] };
+const cabinClass = { type: 'string', enum: CABIN_CLASSES };
+
+// Populated references come back as documents, unpopulated ones as ids
+const refOrId = (name) => ({ anyOf: [objectId, ref(name)] });
+
+module.exports = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'code', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      code: { type: 'string', example: 'VALIDATION_ERROR' },
+      message: { type: 'string' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['msg'],
+          properties: {
+            path: { type: 'string' },
+            msg: { type: 'string' }
+          }
+        }
+      },
+      details: { type: 'object' },
+      debug: { type: 'object' }
+    }
+  },
+  Message: {
+    type: 'object',
+    required: ['success', 'message'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'totalPages'],
+    properties: {
+      page: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      total: { type: 'integer', minimum: 0 },
+      totalPages: { type: 'integer', minimum: 0 },
+      truncated: {
+        type: 'boolean',
+        description: 'Set when a search priced in memory hit its candidate cap; results beyond the cap are not returned'
+      }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'name', 'email', 'role'],
+    properties: {
+      id: objectId,
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      phone: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'admin'] },
+      emailVerified: { type: 'boolean' }
+    }
+  },
+  UserSummary: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      name: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['user', 'token', 'refreshToken'],
+    properties: {
+      user: ref('User'),
+      token: { type: 'string', description: 'Short-lived access token (JWT)' },
+      refreshToken: { type: 'string', description: 'Single-use refresh token' },
+      refreshTokenExpiresAt: dateTime
+    }
+  },
+  Fare: {
+    type: 'object',
+    required: ['cabinClass', 'code', 'price'],
+    properties: {
+      cabinClass,
+      code: { type: 'string' },
+      name: { type: 'string' },
+      price: { type: 'number', minimum: 0 },
+      basePrice: { type: 'number', minimum: 0 },
+      baggage: {
+        type: 'object',
+        properties: {
+          cabinKg: { type: 'number' },
+          checkedKg: { type: 'number' }
+        }
+      },
+      refundable: { type: 'boolean' },
+      changeable: { type: 'boolean' },
+      changeFee: { type: 'number' },
+      cancellationFee: { type: 'number' }
+    }
+  },
+  FareRules: {
+    type: 'object',
+    properties: {
+      refundable: { type: 'boolean' },
+      changeable: { type: 'boolean' },
+      changeFee: { type: 'number' },
+      cancellationFee: { type: 'number' }
+    }
+  },
+  Aircraft: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      code: { type: 'string' },
+      name: { type: 'string' }
+    }
+  },
+  Flight: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      airline: { type: 'string' },
+      airlineCode: { type: 'string' },
+      flightNumber: { type: 'integer' },
+      origin: { type: 'string', example: 'PNQ' },
+      destination: { type: 'string', example: 'DEL' },
+      aircraft: refOrId('Aircraft'),
+      departure: dateTime,
+      arrival: dateTime,
+      departureLocal: { type: 'string', description: 'Departure in the origin airport\'s local time with its UTC offset' },
+      arrivalLocal: { type: 'string', description: 'Arrival in the destination airport\'s local time with its UTC offset' },
+      originTimezone: { type: 'string' },
+      destinationTimezone: { type: 'string' },
+      duration: { type: 'string', example: '2h 10m' },
+      durationMinutes: { type: 'integer' },
+      price: { type: 'number' },
+      lowestFare: ref('Fare'),
+      fares: { type: 'array', items: ref('Fare') },
+      cabins: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            cabinClass,
+            availableSeats: { type: 'integer' }
+          }
+        }
+      },
+      availableSeats: { type: 'integer' },
+      operationalDays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+      status: { type: 'string', enum: ['scheduled', 'cancelled'] },
+      cancelledAt: dateTime,
+      cancellationReason: { type: 'string' }
+    }
+  },
+  Itinerary: {
+    type: 'object',
+    required: ['stops', 'origin', 'destination', 'departure', 'arrival', 'totalPrice', 'segments'],
+    properties: {
+      stops: { type: 'integer', minimum: 0 },
+      origin: { type: 'string' },
+      destination: { type: 'string' },
+      departure: dateTime,
+      arrival: dateTime,
+      totalDurationMinutes: { type: 'integer' },
+      totalPrice: { type: 'number' },
+      layovers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            airport: { type: 'string' },
+            minutes: { type: 'integer' }
+          }
+        }
+      },
+      segments: { type: 'array', items: ref('Flight') }
+    }
+  },
+  CalendarDay: {
+    type: 'object',
+    required: ['date', 'flightCount', 'lowestFare', 'flightId'],
+    properties: {
+      date: { type: 'string', format: 'date' },
+      flightCount: { type: 'integer' },
+      lowestFare: { type: 'number', nullable: true },
+      flightId: { ...objectId, nullable: true }
+    }
+  },
+  Quote: {
+    type: 'object',
+    required: ['quoteToken', 'quoteId', 'expiresAt', 'total'],
+    properties: {
+      quoteToken: { type: 'string' },
+      quoteId: { type: 'string' },
+      expiresAt: dateTime,
+      flightId: objectId,
+      cabinClass,
+      fareCode: { type: 'string' },
+      fareRules: ref('FareRules'),
+      passengers: { type: 'integer' },
+      basePrice: { type: 'number' },
+      farePrice: { type: 'number' },
+      fareTotal: { type: 'number' },
+      taxes: { type: 'array', items: ref('Tax') },
+      taxTotal: { type: 'number' },
+      total: { type: 'number' }
+    }
+  },
+  PriceChange: {
+    type: 'object',
+    description: 'How the current price differs from a quote',
+    properties: {
+      quotedTotal: { type: 'number' },
+      currentTotal: { type: 'number' },
+      delta: { type: 'number' }
+    }
+  },
+  SeatHold: {
+    type: 'object',
+    required: ['holdId', 'flightId', 'seats', 'expiresAt'],
+    properties: {
+      holdId: objectId,
+      flightId: objectId,
+      seats: { type: 'array', items: { type: 'string' } },
+      expiresAt: dateTime
+    }
+  },
+  BookedSeats: {
+    type: 'object',
+    properties: {
+      flightId: { type: 'string' },
+      bookedSeats: { type: 'array', items: { type: 'string' } },
+      heldSeats: { type: 'array', items: { type: 'string' } },
+      myHeldSeats: { type: 'array', items: { type: 'string' } },
+      totalBooked: { type: 'integer' },
+      totalHeld: { type: 'integer' }
+    }
+  },
+  SeatMap: {
+    type: 'object',
+    properties: {
+      flightId: objectId,
+      aircraft: ref('Aircraft'),
+      cabins: { type: 'array', items: { type: 'object' } },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            cabinClass,
+            exitRow: { type: 'boolean' },
+            seats: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  seatNumber: { type: 'string' },
+                  column: { type: 'string' },
+                  position: { type: 'string', enum: ['window', 'middle', 'aisle'] },
+                  status: { type: 'string', enum: ['available', 'booked', 'held', 'held_by_you', 'blocked'] }
+                }
+              }
+            }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          available: { type: 'integer' },
+          booked: { type: 'integer' },
+          held: { type: 'integer' },
+          blocked: { type: 'integer' }
+        }
+      }
+    }
+  },
+  Tax: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      name: { type: 'string' },
+      amount: { type: 'number' }
+    }
+  },
+  PassengerInput: {
+    type: 'object',
+    required: ['firstName', 'lastName', 'age', 'gender'],
+    properties: {
+      firstName: { type: 'string', minLength: 1 },
+      lastName: { type: 'string', minLength: 1 },
+      age: { type: 'integer', minimum: 1 },
+      gender,
+      fareCode: { type: 'string', minLength: 1 }
+    }
+  },
+  Passenger: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      age: { type: 'integer' },
+      gender,
+      seatNumber: { type: 'string' },
+      cabinClass,
+      fareCode: { type: 'string' },
+      fareRules: ref('FareRules'),
+      basePrice: { type: 'number' },
+      price: { type: 'number' },
+      taxAmount: { type: 'number' }
+    }
+  },
+  Refund: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      amount: { type: 'number' },
+      fareRefund: { type: 'number' },
+      taxRefund: { type: 'number' },
+      fee: { type: 'number' },
+      reason: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'not_applicable'] },
+      providerRefundId: { type: 'string' },
+      allocations: {
+        type: 'array',
+        description: 'How the amount was split across the payments that collected it',
+        items: {
+          type: 'object',
+          properties: {
+            intentId: { type: 'string' },
+            amount: { type: 'number' },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+            providerRefundId: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  PaymentIntent: {
+    type: 'object',
+    required: ['intentId', 'status', 'amount'],
+    properties: {
+      intentId: { type: 'string' },
+      clientSecret: { type: 'string' },
+      status: { type: 'string' },
+      amount: { type: 'number' },
+      currency: { type: 'string' },
+      dueAt: dateTime
+    }
+  },
+  Booking: {
+    type: 'object',
+    properties: {
+      _id: objectId,
+      bookingReference: { type: 'string' },
+      user: refOrId('UserSummary'),
+      flight: refOrId('Flight'),
+      tripType: { type: 'string', enum: TRIP_TYPES },
+      segments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            journey: { type: 'integer', minimum: 0 },
+            flight: refOrId('Flight'),
+            passengers: { type: 'array', items: { type: 'object' } },
+            seatsReserved: { type: 'boolean' }
+          }
+        }
+      },
+      passengers: { type: 'array', items: ref('Passenger') },
+      cancelledPassengers: { type: 'array', items: ref('Passenger') },
+      totalSeats: { type: 'integer' },
+      fareTotal: { type: 'number' },
+      taxes: { type: 'array', items: ref('Tax') },
+      taxTotal: { type: 'number' },
+      totalAmount: { type: 'number' },
+      pricedAt: dateTime,
+      bookingStatus: { type: 'string', enum: ['confirmed', 'cancelled', 'pending'] },
+      paymentStatus: { type: 'string', enum: ['paid', 'pending', 'failed', 'refunded', 'partially_refunded'] },
+      paymentDueAt: dateTime,
+      refunds: { type: 'array', items: ref('Refund') },
+      modifications: { type: 'array', items: { type: 'object' } },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    required: ['_id', 'entityType', 'entity', 'action', 'actor', 'before', 'after', 'createdAt'],
+    properties: {
+      _id: objectId,
+      entityType: { type: 'string', enum: ['Booking', 'Flight'] },
+      entity: objectId,
+      action: { type: 'string', example: 'seats_changed' },
+      actor: {
+        type: 'object',
+        required: ['role'],
+        description: 'system for webhooks, payment expiry and cascades from a cancelled flight',
+        properties: {
+          role: { type: 'string', enum: ['user', 'admin', 'system'] },
+          user: objectId,
+          email: { type: 'string' }
+        }
+      },
+      requestId: { type: 'string' },
+      before: { type: 'object', nullable: true, description: 'Snapshot before the change, null on creation' },
+      after: { type: 'object', nullable: true },
+      metadata: { type: 'object' },
+      createdAt: dateTime
+    }
+  }
+};
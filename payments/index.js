@@ -0,0 +1,50 @@
+const { AppError } = require('../utils/errors');
+const { PaymentSignatureError, createMockProvider } = require('./mockProvider');
+
+// A provider adapter exposes createPaymentIntent({ amount, currency, metadata }),
+// verifyWebhook(rawBody, headers) returning a normalized
+// { id, type: 'payment.succeeded' | 'payment.failed', intentId, failureReason }
+// event, refund({ intentId, amount, reason }) and cancelPaymentIntent({ intentId })
+// for an intent that should no longer be paid.
+
+class PaymentProviderError extends AppError {
+  constructor(message) {
+    super(message, 502, 'PAYMENT_PROVIDER_ERROR');
+  }
+}
+
+const factories = {
+  mock: createMockProvider
+};
+
+const instances = {};
+
+const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+// No default: the mock provider accepts any payment, so it has to be chosen
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    throw new PaymentProviderError('No payment provider configured, set PAYMENT_PROVIDER');
+  }
+
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new PaymentProviderError(`Unknown payment provider "${name}"`);
+    }
+    instances[name] = factory();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  PaymentProviderError,
+  PaymentSignatureError,
+  registerPaymentProvider,
+  getPaymentProvider
+};
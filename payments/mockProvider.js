@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { BadRequestError } = require('../utils/errors');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+class PaymentSignatureError extends BadRequestError {
+  constructor(message = 'Invalid webhook signature') {
+    super(message, 'INVALID_SIGNATURE');
+  }
+}
+
+const createMockProvider = ({ webhookSecret } = {}) => {
+  const getSecret = () => webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+  const sign = (payload) => {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+  };
+
+  const createPaymentIntent = async ({ amount, currency }) => {
+    const id = `pi_mock_${crypto.randomUUID().replace(/-/g, '')}`;
+
+    return {
+      id,
+      clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'requires_payment',
+      amount,
+      currency
+    };
+  };
+
+  const verifyWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') {
+      throw new PaymentSignatureError('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new PaymentSignatureError();
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      intentId: event.data.intentId,
+      failureReason: event.data.failureReason
+    };
+  };
+
+  const buildWebhookEvent = (intentId, outcome, failureReason = 'Card declined') => {
+    const payload = JSON.stringify({
+      id: `evt_mock_${crypto.randomUUID().replace(/-/g, '')}`,
+      type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        intentId,
+        ...(outcome !== 'succeeded' && { failureReason })
+      }
+    });
+
+    return {
+      payload,
+      headers: { [SIGNATURE_HEADER]: sign(payload) }
+    };
+  };
+
+  const refund = async ({ amount }) => {
+    return {
+      id: `re_mock_${crypto.randomUUID().replace(/-/g, '')}`,
+      status: 'succeeded',
+      amount
+    };
+  };
+
+  const cancelPaymentIntent = async ({ intentId }) => {
+    return { id: intentId, status: 'canceled' };
+  };
+
+  return {
+    name: 'mock',
+    createPaymentIntent,
+    verifyWebhook,
+    buildWebhookEvent,
+    refund,
+    cancelPaymentIntent
+  };
+};
+
+module.exports = {
+  PaymentSignatureError,
+  createMockProvider
+};
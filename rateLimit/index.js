@@ -0,0 +1,45 @@
+const { AppError } = require('../utils/errors');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+// A store exposes increment(key, windowMs) resolving to { count, resetAt }
+// for a fixed window that starts with the first hit, and reset(key).
+
+class RateLimitStoreError extends AppError {
+  constructor(message) {
+    super(message, 500, 'RATE_LIMIT_STORE_ERROR');
+  }
+}
+
+const factories = {
+  memory: createMemoryStore
+};
+
+const instances = {};
+
+const registerRateLimitStore = (name, factory) => {
+  factories[name] = factory;
+  delete instances[name];
+};
+
+const getRateLimitStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (!instances[name]) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new RateLimitStoreError(`Unknown rate limit store "${name}"`);
+    }
+    instances[name] = factory();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  RateLimitStoreError,
+  createMemoryStore,
+  createRedisStore,
+  registerRateLimitStore,
+  getRateLimitStore
+};
@@ -0,0 +1,49 @@
+// Counters live in this process only, so each instance behind a load
+// balancer enforces its own limits. Use a shared store when scaling out.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  };
+
+  const timer = setInterval(sweep, sweepIntervalMs);
+  timer.unref();
+
+  const increment = async (key, windowMs) => {
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  };
+
+  const reset = async (key) => {
+    hits.delete(key);
+  };
+
+  const resetAll = async () => {
+    hits.clear();
+  };
+
+  return {
+    name: 'memory',
+    increment,
+    reset,
+    resetAll
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,36 @@
+// Works with any client exposing the node-redis v4 command names (incr,
+// pExpire, pTTL, del), e.g.
+//   registerRateLimitStore('redis', () => createRedisStore({ client }))
+const createRedisStore = ({ client, prefix = 'rl:' }) => {
+  const increment = async (key, windowMs) => {
+    const redisKey = prefix + key;
+    const count = await client.incr(redisKey);
+
+    if (count === 1) {
+      await client.pExpire(redisKey, windowMs);
+    }
+
+    let ttl = await client.pTTL(redisKey);
+    // A crash between INCR and PEXPIRE would leave a key that never expires
+    if (ttl < 0) {
+      await client.pExpire(redisKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: new Date(Date.now() + ttl) };
+  };
+
+  const reset = async (key) => {
+    await client.del(prefix + key);
+  };
+
+  return {
+    name: 'redis',
+    increment,
+    reset
+  };
+};
+
+module.exports = {
+  createRedisStore
+};
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const asyncHandler = require('../middleware/asyncHandler');
+const validate = require('../middleware/validate');
+const { searchAirports } = require('../utils/airports');
+
+router.get('/', [
+  query('q').trim().notEmpty().withMessage('Search text is required'),
+  query('limit').optional().isInt({ min: 1, max: 25 }).withMessage('Limit must be between 1 and 25').toInt(),
+  validate
+], asyncHandler(async (req, res) => {
+  const airports = searchAirports(req.query.q, req.query.limit || 10);
+
+  res.status(200).json({
+    success: true,
+    count: airports.length,
+    data: airports
+  });
+}));
+
+module.exports = router;
@@ -1,152 +1,335 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { body } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const validate = require('../middleware/validate');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeUserSessions,
+  findRefreshToken
+} = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const {
+  secondsUntil,
+  lockoutRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginLockout');
+const { rateLimit, byIp, byEmail, byUser } = require('../middleware/rateLimit');
+const limits = require('../config/rateLimits');
+const { AppError, ConflictError, UnauthorizedError, BadRequestError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
+const userResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  emailVerified: user.emailVerified
+});
+
+const loginLimiters = [
+  rateLimit({ name: 'login', ...limits.login, keyGenerator: byIp }),
+  rateLimit({
+    name: 'login-account',
+    ...limits.loginAccount,
+    keyGenerator: byEmail,
+    message: 'Too many login attempts for this account, please try again later'
+  })
+];
+
+const registerLimiter = rateLimit({ name: 'register', ...limits.register, keyGenerator: byIp });
+
+const passwordResetLimiters = [
+  rateLimit({ name: 'password-reset', ...limits.accountEmails, keyGenerator: byIp }),
+  rateLimit({ name: 'password-reset-account', ...limits.accountEmails, keyGenerator: byEmail })
+];
+
+const resendVerificationLimiter = rateLimit({ name: 'resend-verification', ...limits.accountEmails, keyGenerator: byUser });
+
+const authTokenLimiter = rateLimit({ name: 'auth-tokens', ...limits.authTokens, keyGenerator: byIp });
+
+const accountLocked = (res, seconds) => {
+  res.set('Retry-After', String(seconds));
+  return new AppError('Account temporarily locked after repeated failed logins, please try again later', 423, 'ACCOUNT_LOCKED');
+};
+
+// Delivery problems are logged rather than failing the request; the user can
+// ask for another email.
+const deliver = async (send, user, token) => {
+  try {
+    await send(user, token);
+  } catch (error) {
+    logger.error('Email delivery failed', { userId: user._id, error });
+  }
 };
 
 router.post('/register', [
+  registerLimiter,
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('phone').trim().notEmpty().withMessage('Phone number is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { name, email, password, phone } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError('User already exists with this email', 'EMAIL_TAKEN');
+  }
+
+  const user = new User({
+    name,
+    email,
+    password,
+    phone
+  });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  await deliver(sendVerificationEmail, user, verificationToken);
+
+  const { tokens } = await issueTokens(user, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully. Check your email to verify your address.',
+    data: {
+      user: userResponse(user),
+      ...tokens
     }
+  });
+}));
+
+router.post('/login', [
+  ...loginLimiters,
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('password').notEmpty().withMessage('Password is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    const { name, email, password, phone } = req.body;
+  // Checked before the account is looked up: unknown addresses lock the same
+  // way, so a 423 does not reveal that an email is registered
+  const lockedFor = await lockoutRemainingSeconds(email);
+  if (lockedFor > 0) {
+    throw accountLocked(res, lockedFor);
+  }
+
+  const user = await User.findOne({ email }).select('+password');
+  const isPasswordMatch = user ? await user.comparePassword(password) : false;
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists with this email'
-      });
+  if (!isPasswordMatch) {
+    const lockUntil = await recordFailedLogin(email);
+    if (lockUntil) {
+      throw accountLocked(res, secondsUntil(lockUntil));
     }
 
-    const user = await User.create({
-      name,
-      email,
-      password,
-      phone
-    });
-
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Register Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error registering user',
-      error: error.message
-    });
+    throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
   }
-});
 
-router.post('/login', [
-  body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
+  await clearFailedLogins(email);
+
+  const { tokens } = await issueTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse(user),
+      ...tokens
+    }
+  });
+}));
+
+router.get('/me', auth, asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      user: userResponse(req.user)
+    }
+  });
+}));
+
+router.post('/refresh', [
+  authTokenLimiter,
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    data: {
+      user: userResponse(user),
+      ...tokens
     }
+  });
+}));
 
-    const { email, password } = req.body;
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+  body('allSessions').optional().isBoolean().withMessage('allSessions must be true or false').toBoolean(),
+  validate
+], asyncHandler(async (req, res) => {
+  const { refreshToken, allSessions } = req.body;
 
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+  const existing = await findRefreshToken(refreshToken);
+
+  // Logging out with an unknown or already revoked token is not an error
+  if (existing) {
+    if (allSessions) {
+      await Promise.all([
+        revokeUserSessions(existing.user, 'logout'),
+        User.updateOne({ _id: existing.user }, { $inc: { tokenVersion: 1 } })
+      ]);
+    } else {
+      await revokeFamily(existing.family, 'logout');
     }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: allSessions ? 'Logged out of all sessions' : 'Logged out successfully'
+  });
+}));
+
+router.put('/password', [
+  auth,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  const isPasswordMatch = await user.comparePassword(req.body.currentPassword);
+  if (!isPasswordMatch) {
+    throw new UnauthorizedError('Current password is incorrect', 'INVALID_CREDENTIALS');
+  }
 
-    const isPasswordMatch = await user.comparePassword(password);
-    
-    if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+  user.password = req.body.newPassword;
+  await user.save();
+  await revokeUserSessions(user._id, 'password_change');
+
+  const { tokens } = await issueTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed. All other sessions have been signed out.',
+    data: {
+      user: userResponse(user),
+      ...tokens
     }
+  });
+}));
 
-    const token = generateToken(user._id);
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Login Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error logging in',
-      error: error.message
-    });
+router.post('/verify-email', [
+  authTokenLimiter,
+  body('token').isString().notEmpty().withMessage('Verification token is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findOneAndUpdate(
+    {
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new BadRequestError('Verification link is invalid or has expired', 'INVALID_TOKEN');
   }
-});
 
-router.get('/me', auth, async (req, res) => {
-  try {
-    res.status(200).json({
-      success: true,
-      data: {
-        user: {
-          id: req.user._id,
-          name: req.user.name,
-          email: req.user.email,
-          phone: req.user.phone
-        }
-      }
-    });
-  } catch (error) {
-    console.error('Get User Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching user data',
-      error: error.message
-    });
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user: userResponse(user)
+    }
+  });
+}));
+
+router.post('/resend-verification', [auth, resendVerificationLimiter], asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new BadRequestError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
   }
-});
+
+  const verificationToken = req.user.createEmailVerificationToken();
+  await req.user.save();
+  await deliver(sendVerificationEmail, req.user, verificationToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+router.post('/forgot-password', [
+  ...passwordResetLimiters,
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  validate
+], asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+  if (user) {
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await deliver(sendPasswordResetEmail, user, resetToken);
+  }
+
+  // Same answer either way so the endpoint cannot be used to find accounts
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+}));
+
+router.post('/reset-password', [
+  authTokenLimiter,
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate
+], asyncHandler(async (req, res) => {
+  // Clearing the token in the same update that finds it makes the link
+  // single-use even when it is submitted twice at once.
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: User.hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new BadRequestError('Reset link is invalid or has expired', 'INVALID_TOKEN');
+  }
+
+  user.password = req.body.password;
+  // The reset link was delivered to this address, which proves ownership
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await clearFailedLogins(user.email);
+  await revokeUserSessions(user._id, 'password_change');
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
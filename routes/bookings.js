@@ -1,221 +1,925 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { query, body } = require('express-validator');
 const Booking = require('../models/Booking');
 const Flight = require('../models/Flight');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const requireVerified = require('../middleware/requireVerified');
+const asyncHandler = require('../middleware/asyncHandler');
+const validate = require('../middleware/validate');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const limits = require('../config/rateLimits');
+const {
+  validateSeatNumbers,
+  reserveSeats,
+  releaseSeats,
+  reserveLegs,
+  bookingLegs,
+  releaseBookingSeats,
+  swapSeats
+} = require('../utils/seatInventory');
+const { FareError, cabinFares, calculateTaxes, pricePassengers } = require('../utils/fares');
+const levenshtein = require('../utils/levenshtein');
+const bookingChanges = require('../config/bookingChanges');
+const {
+  paymentDueAt,
+  startPayment,
+  startChangePayment,
+  expireUnpaidBookings
+} = require('../utils/bookingPayments');
+const {
+  assertNotDeparted,
+  calculateRefund,
+  calculateBookingRefund,
+  settleRefund
+} = require('../utils/refunds');
+const {
+  QuoteError,
+  buildQuote,
+  priceDelta,
+  verifyQuote,
+  applyQuote
+} = require('../utils/quotes');
+const { TRIP_TYPES, assertTrip, priceItinerary } = require('../utils/itineraries');
+const { auditBooking, auditHistory } = require('../utils/audit');
+const { parsePagination } = require('../utils/flightFilters');
+const connectionRules = require('../config/connections');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Counted per user across both booking routes to stop scripts hoarding seats
+const bookingLimiter = rateLimit({
+  name: 'bookings',
+  ...limits.bookings,
+  keyGenerator: byUser,
+  message: 'Too many bookings created, please try again later'
+});
+
+// The fare behind a quote may since have been withdrawn or sold out; the
+// quote still decides the outcome, just without a price comparison.
+const requoteDetails = (flight, quote, now) => {
+  try {
+    return { priceChange: priceDelta(quote, buildQuote(flight, quote, now)) };
+  } catch (error) {
+    if (error instanceof FareError) {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+// A paid flight change rewrites the passengers and totals once its payment
+// lands, so nothing else may change them while it is outstanding
+const changeAwaitingPayment = (booking) => {
+  return booking.modifications.some(m => m.payment && m.payment.status === 'pending');
+};
 
 router.post('/', [
   auth,
+  requireVerified,
+  bookingLimiter,
   body('flightId').notEmpty().withMessage('Flight ID is required'),
+  body('holdId').optional().isMongoId().withMessage('Valid hold ID is required if provided'),
+  body('quoteToken').optional().isJWT().withMessage('Valid quote token is required if provided'),
   body('passengers').isArray({ min: 1 }).withMessage('At least one passenger is required'),
   body('passengers.*.firstName').trim().notEmpty().withMessage('Passenger first name is required'),
   body('passengers.*.lastName').trim().notEmpty().withMessage('Passenger last name is required'),
   body('passengers.*.age').isInt({ min: 1 }).withMessage('Valid age is required'),
   body('passengers.*.gender').isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
-  body('passengers.*.seatNumber').trim().notEmpty().withMessage('Seat number is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
+  body('passengers.*.seatNumber').trim().notEmpty().withMessage('Seat number is required').toUpperCase(),
+  body('passengers.*.fareCode').optional().trim().notEmpty().withMessage('Fare code cannot be empty if provided'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { flightId, passengers, holdId, quoteToken } = req.body;
 
-    const { flightId, passengers } = req.body;
+  const seatNumbers = passengers.map(p => p.seatNumber);
+  const uniqueSeats = new Set(seatNumbers);
+  if (uniqueSeats.size !== seatNumbers.length) {
+    throw new BadRequestError('Duplicate seat numbers in booking');
+  }
 
-    const flight = await Flight.findById(flightId);
-    if (!flight) {
-      return res.status(404).json({
-        success: false,
-        message: 'Flight not found'
-      });
-    }
+  const totalSeats = passengers.length;
+  const { flight, seats } = await validateSeatNumbers(flightId, seatNumbers);
+  const now = new Date();
+
+  await expireUnpaidBookings(flightId);
 
-    const totalSeats = passengers.length;
-    if (flight.availableSeats < totalSeats) {
-      return res.status(400).json({
-        success: false,
-        message: `Only ${flight.availableSeats} seats available`
-      });
+  let priced;
+  let quoteId;
+  let priceChange;
+  if (quoteToken) {
+    let verified;
+    try {
+      verified = verifyQuote(quoteToken, req.user._id);
+    } catch (error) {
+      if (error instanceof QuoteError && error.quote) {
+        error.details = requoteDetails(flight, error.quote, now);
+      }
+      throw error;
     }
 
-    const seatNumbers = passengers.map(p => p.seatNumber);
-    const uniqueSeats = new Set(seatNumbers);
-    if (uniqueSeats.size !== seatNumbers.length) {
-      return res.status(400).json({
-        success: false,
-        message: 'Duplicate seat numbers in booking'
-      });
+    if (await Booking.exists({ quoteId: verified.quoteId })) {
+      throw new QuoteError('Price quote has already been used', 409);
     }
 
-    const existingBookings = await Booking.find({
-      flight: flightId,
-      bookingStatus: { $ne: 'cancelled' },
-      'passengers.seatNumber': { $in: seatNumbers }
+    priced = applyQuote(verified.quote, {
+      flightId,
+      seats,
+      passengers,
+      pricedAt: verified.issuedAt
     });
+    quoteId = verified.quoteId;
+    ({ priceChange } = requoteDetails(flight, verified.quote, now) || {});
+  } else {
+    priced = pricePassengers(flight, seats, passengers, now);
+  }
 
-    if (existingBookings.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'One or more selected seats are already booked'
-      });
-    }
-
-    const totalAmount = flight.price * totalSeats;
+  await reserveSeats(flightId, seatNumbers, { holdId, userId: req.user._id });
 
-    const booking = await Booking.create({
+  let booking;
+  try {
+    booking = await Booking.create({
       user: req.user._id,
       flight: flightId,
-      passengers,
+      passengers: priced.passengers,
       totalSeats,
-      totalAmount,
-      bookingStatus: 'confirmed',
-      paymentStatus: 'paid'
+      fareTotal: priced.fareTotal,
+      taxes: priced.taxes,
+      taxTotal: priced.taxTotal,
+      totalAmount: priced.totalAmount,
+      pricedAt: priced.pricedAt,
+      quoteId,
+      bookingStatus: 'pending',
+      paymentStatus: 'pending',
+      paymentDueAt: paymentDueAt(now)
     });
+  } catch (error) {
+    await releaseSeats(flightId, seatNumbers);
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.quoteId) {
+      throw new QuoteError('Price quote has already been used', 409);
+    }
+    throw error;
+  }
 
-    flight.availableSeats -= totalSeats;
-    await flight.save();
+  await auditBooking('created', { after: booking });
 
-    const populatedBooking = await Booking.findById(booking._id)
-      .populate('flight')
-      .populate('user', 'name email phone');
+  const intent = await startPayment(booking);
 
-    res.status(201).json({
-      success: true,
-      message: 'Booking created successfully',
-      data: populatedBooking
-    });
-  } catch (error) {
-    console.error('Create Booking Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating booking',
-      error: error.message
-    });
-  }
-});
+  const populatedBooking = await Booking.findById(booking._id)
+    .populate('flight')
+    .populate('user', 'name email phone');
 
-router.get('/', auth, async (req, res) => {
-  try {
-    const bookings = await Booking.find({ user: req.user._id })
-      .populate('flight')
-      .sort({ createdAt: -1 });
+  res.status(201).json({
+    success: true,
+    message: 'Booking created, awaiting payment',
+    data: populatedBooking,
+    payment: {
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      dueAt: populatedBooking.paymentDueAt
+    },
+    ...(priceChange && { priceChange })
+  });
+}));
 
-    res.status(200).json({
-      success: true,
-      count: bookings.length,
-      data: bookings
-    });
-  } catch (error) {
-    console.error('Get Bookings Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching bookings',
-      error: error.message
-    });
+router.post('/itinerary', [
+  auth,
+  requireVerified,
+  bookingLimiter,
+  body('tripType').optional().isIn(TRIP_TYPES).withMessage(`Trip type must be one of: ${TRIP_TYPES.join(', ')}`),
+  body('segments').isArray({ min: 2, max: connectionRules.maxJourneys * (connectionRules.maxStops + 1) })
+    .withMessage('An itinerary needs at least 2 segments'),
+  body('segments.*.journey').optional().isInt({ min: 0, max: connectionRules.maxJourneys - 1 })
+    .withMessage('Journey must be the index of the journey the segment belongs to').toInt(),
+  body('segments.*.flightId').isMongoId().withMessage('Valid flight ID is required for every segment'),
+  body('segments.*.holdId').optional().isMongoId().withMessage('Valid hold ID is required if provided'),
+  body('segments.*.seatNumbers').isArray({ min: 1 }).withMessage('Seat numbers are required for every segment'),
+  body('segments.*.seatNumbers.*').trim().notEmpty().withMessage('Seat number is required').toUpperCase(),
+  body('passengers').isArray({ min: 1 }).withMessage('At least one passenger is required'),
+  body('passengers.*.firstName').trim().notEmpty().withMessage('Passenger first name is required'),
+  body('passengers.*.lastName').trim().notEmpty().withMessage('Passenger last name is required'),
+  body('passengers.*.age').isInt({ min: 1 }).withMessage('Valid age is required'),
+  body('passengers.*.gender').isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
+  body('passengers.*.fareCode').optional().trim().notEmpty().withMessage('Fare code cannot be empty if provided'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { segments, passengers } = req.body;
+  const tripType = req.body.tripType || 'one_way';
+
+  if (segments.some((segment, idx) => idx > 0 && (segment.journey || 0) < (segments[idx - 1].journey || 0))) {
+    throw new BadRequestError('Segments must be listed in journey order');
   }
-});
 
-router.get('/:id', auth, async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id)
-      .populate('flight')
-      .populate('user', 'name email phone');
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
+  if (new Set(segments.map(segment => segment.flightId)).size !== segments.length) {
+    throw new BadRequestError('An itinerary cannot include the same flight twice');
+  }
 
-    if (booking.user._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to access this booking'
-      });
+  for (const segment of segments) {
+    if (segment.seatNumbers.length !== passengers.length) {
+      throw new BadRequestError('Every segment needs exactly one seat per passenger');
     }
 
-    res.status(200).json({
-      success: true,
-      data: booking
-    });
-  } catch (error) {
-    console.error('Get Booking Error:', error);
-    
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
+    if (new Set(segment.seatNumbers).size !== segment.seatNumbers.length) {
+      throw new BadRequestError('Duplicate seat numbers in booking');
     }
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching booking',
-      error: error.message
+  const now = new Date();
+  const legs = [];
+  for (const segment of segments) {
+    const { flight, seats } = await validateSeatNumbers(segment.flightId, segment.seatNumbers);
+    legs.push({
+      flight,
+      seats,
+      journey: segment.journey || 0,
+      flightId: segment.flightId,
+      holdId: segment.holdId,
+      seatNumbers: segment.seatNumbers
     });
   }
-});
 
-router.put('/:id/cancel', auth, async (req, res) => {
+  assertTrip(tripType, legs);
+
+  for (const leg of legs) {
+    await expireUnpaidBookings(leg.flightId);
+  }
+
+  const priced = priceItinerary(legs, passengers, now);
+
+  // Written before any seat is taken, so the payment expiry sweep can free
+  // whatever a failed reservation leaves behind
+  const pending = await Booking.create({
+    user: req.user._id,
+    flight: legs[0].flightId,
+    tripType,
+    segments: priced.segments.map(segment => ({ ...segment, seatsReserved: false })),
+    passengers: priced.passengers,
+    totalSeats: passengers.length,
+    fareTotal: priced.fareTotal,
+    taxes: priced.taxes,
+    taxTotal: priced.taxTotal,
+    totalAmount: priced.totalAmount,
+    pricedAt: priced.pricedAt,
+    bookingStatus: 'pending',
+    paymentStatus: 'pending',
+    paymentDueAt: paymentDueAt(now)
+  });
+
+  let booking;
   try {
-    const booking = await Booking.findById(req.params.id);
+    booking = await reserveLegs(pending, legs, { userId: req.user._id });
+  } catch (error) {
+    // Kept for the sweep if any leg could not be released
+    await Booking.deleteOne({ _id: pending._id, bookingStatus: 'pending', 'segments.seatsReserved': { $ne: true } });
+    throw error;
+  }
 
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
+  await auditBooking('created', { after: booking });
 
-    if (booking.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to cancel this booking'
-      });
+  const intent = await startPayment(booking);
+
+  const populatedBooking = await Booking.findById(booking._id)
+    .populate('flight')
+    .populate('segments.flight')
+    .populate('user', 'name email phone');
+
+  res.status(201).json({
+    success: true,
+    message: 'Booking created, awaiting payment',
+    data: populatedBooking,
+    payment: {
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      dueAt: populatedBooking.paymentDueAt
     }
+  });
+}));
+
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const bookings = await Booking.find({ user: req.user._id })
+    .populate('flight')
+    .populate('segments.flight')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: bookings.length,
+    data: bookings
+  });
+}));
+
+router.get('/:id', auth, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate('flight')
+    .populate('segments.flight')
+    .populate('user', 'name email phone');
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.user._id.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to access this booking');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: booking
+  });
+}));
+
+router.get('/:id/audit', [
+  auth,
+  authorize('admin'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  validate
+], asyncHandler(async (req, res) => {
+  if (!await Booking.exists({ _id: req.params.id })) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  const { entries, pagination } = await auditHistory('Booking', req.params.id, parsePagination(req.query, 50));
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination,
+    data: entries
+  });
+}));
+
+router.put('/:id/cancel', auth, asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.user.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to cancel this booking');
+  }
+
+  if (booking.bookingStatus === 'cancelled') {
+    throw new BadRequestError('Booking is already cancelled');
+  }
+
+  const flightIds = bookingLegs(booking).map(leg => leg.flightId);
+  const flights = await Flight.find({ _id: { $in: flightIds } });
+  if (flights.length !== flightIds.length) {
+    throw new NotFoundError('Flight for this booking no longer exists');
+  }
 
-    if (booking.bookingStatus === 'cancelled') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking is already cancelled'
-      });
+  const refund = {
+    ...calculateBookingRefund(booking, flights),
+    reason: 'Cancelled by customer'
+  };
+
+  const update = {
+    bookingStatus: 'cancelled',
+    cancellationReason: 'customer_request',
+    $push: { refunds: refund }
+  };
+  if (booking.paymentStatus === 'pending') {
+    update.paymentStatus = 'failed';
+    if (booking.payment) {
+      update['payment.failureReason'] = 'Cancelled before payment';
     }
+  }
+
+  const cancelledBooking = await Booking.findOneAndUpdate(
+    { _id: booking._id, bookingStatus: booking.bookingStatus, paymentStatus: booking.paymentStatus },
+    update,
+    { new: true }
+  );
+
+  if (!cancelledBooking) {
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  await releaseBookingSeats(cancelledBooking);
+
+  const refundRecord = await settleRefund(
+    cancelledBooking,
+    cancelledBooking.refunds[cancelledBooking.refunds.length - 1]
+  );
+
+  await auditBooking('cancelled', {
+    before: booking,
+    after: cancelledBooking,
+    metadata: { refund: refundRecord.amount }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking cancelled successfully',
+    data: cancelledBooking,
+    refund: refundRecord
+  });
+}));
+
+router.put('/:id/passengers/cancel', [
+  auth,
+  body('passengerIds').isArray({ min: 1 }).withMessage('At least one passenger ID is required'),
+  body('passengerIds.*').isMongoId().withMessage('Valid passenger ID is required'),
+  validate
+], asyncHandler(async (req, res) => {
+  const passengerIds = [...new Set(req.body.passengerIds)];
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
 
-    booking.bookingStatus = 'cancelled';
-    await booking.save();
+  if (booking.user.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to modify this booking');
+  }
+
+  if (booking.bookingStatus !== 'confirmed') {
+    throw new BadRequestError('Only confirmed bookings can have passengers cancelled');
+  }
+
+  if (booking.segments.length > 0) {
+    throw new BadRequestError('Passengers cannot be cancelled individually on a multi-segment itinerary, cancel the whole booking instead');
+  }
+
+  if (changeAwaitingPayment(booking)) {
+    throw new BadRequestError('A flight change for this booking is still awaiting payment');
+  }
+
+  const removed = booking.passengers.filter(p => passengerIds.includes(p._id.toString()));
+  if (removed.length !== passengerIds.length) {
+    throw new NotFoundError('One or more passengers are not part of this booking');
+  }
+
+  const remaining = booking.passengers.filter(p => !passengerIds.includes(p._id.toString()));
+  if (remaining.length === 0) {
+    throw new BadRequestError('To cancel every passenger, cancel the whole booking');
+  }
+
+  const flight = await Flight.findById(booking.flight);
+  if (!flight) {
+    throw new NotFoundError('Flight for this booking no longer exists');
+  }
 
-    const flight = await Flight.findById(booking.flight);
-    if (flight) {
-      flight.availableSeats += booking.totalSeats;
-      await flight.save();
+  const now = new Date();
+  const refund = {
+    ...calculateRefund(booking, flight, { passengers: removed, now }),
+    reason: `Cancelled ${removed.length} of ${booking.passengers.length} passengers`
+  };
+  const refundByPassenger = new Map(refund.passengers.map(line => [line.passenger.toString(), line.amount]));
+
+  const fareTotal = remaining.reduce((sum, p) => sum + p.price, 0);
+  const taxes = calculateTaxes(remaining.map(p => p.price));
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'confirmed',
+      totalSeats: booking.totalSeats,
+      'passengers._id': { $all: passengerIds },
+      'modifications.payment.status': { $ne: 'pending' }
+    },
+    {
+      $pull: { passengers: { _id: { $in: passengerIds } } },
+      $push: {
+        cancelledPassengers: {
+          $each: removed.map(p => ({
+            ...p.toObject(),
+            cancelledAt: now,
+            cancelledBy: req.user._id,
+            refundAmount: refundByPassenger.get(p._id.toString()) || 0
+          }))
+        },
+        refunds: refund
+      },
+      $set: {
+        totalSeats: remaining.length,
+        fareTotal,
+        taxes: taxes.items,
+        taxTotal: taxes.total,
+        totalAmount: fareTotal + taxes.total
+      }
+    },
+    { new: true }
+  );
+
+  if (!updatedBooking) {
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  await releaseSeats(updatedBooking.flight, removed.map(p => p.seatNumber));
+
+  const refundRecord = await settleRefund(
+    updatedBooking,
+    updatedBooking.refunds[updatedBooking.refunds.length - 1]
+  );
+
+  await auditBooking('passengers_cancelled', {
+    before: booking,
+    after: updatedBooking,
+    metadata: { passengers: passengerIds, refund: refundRecord.amount }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${removed.length} passenger(s) cancelled successfully`,
+    data: updatedBooking,
+    refund: refundRecord
+  });
+}));
+
+router.patch('/:id/seats', [
+  auth,
+  body('seats').isArray({ min: 1 }).withMessage('At least one seat change is required'),
+  body('seats.*.passengerId').isMongoId().withMessage('Valid passenger ID is required'),
+  body('seats.*.seatNumber').trim().notEmpty().withMessage('Seat number is required').toUpperCase(),
+  validate
+], asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.user.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to modify this booking');
+  }
+
+  if (booking.bookingStatus !== 'confirmed') {
+    throw new BadRequestError('Only confirmed bookings can be modified');
+  }
+
+  if (booking.segments.length > 0) {
+    throw new BadRequestError('Seat changes are not supported on multi-segment itineraries');
+  }
+
+  const assignment = new Map(booking.passengers.map(p => [p._id.toString(), p.seatNumber]));
+  const requested = req.body.seats;
+
+  if (new Set(requested.map(change => change.passengerId)).size !== requested.length) {
+    throw new BadRequestError('Each passenger can only appear once in a seat change');
+  }
+
+  if (requested.some(change => !assignment.has(change.passengerId))) {
+    throw new NotFoundError('One or more passengers are not part of this booking');
+  }
+
+  requested.forEach(change => assignment.set(change.passengerId, change.seatNumber));
+
+  const fromSeats = booking.passengers.map(p => p.seatNumber);
+  const toSeats = booking.passengers.map(p => assignment.get(p._id.toString()));
+
+  if (new Set(toSeats).size !== toSeats.length) {
+    throw new BadRequestError('Duplicate seat numbers in booking');
+  }
+
+  const flight = await Flight.findById(booking.flight);
+  if (!flight) {
+    throw new NotFoundError('Flight for this booking no longer exists');
+  }
+  assertNotDeparted(flight);
+
+  const changes = booking.passengers
+    .filter(p => p.seatNumber !== assignment.get(p._id.toString()))
+    .map(p => ({ passenger: p._id, from: p.seatNumber, to: assignment.get(p._id.toString()) }));
+
+  if (changes.length === 0) {
+    throw new BadRequestError('No seat changes requested');
+  }
+
+  await swapSeats(booking.flight, fromSeats, toSeats);
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'confirmed',
+      totalSeats: booking.totalSeats,
+      'passengers.seatNumber': { $all: fromSeats }
+    },
+    {
+      $set: Object.fromEntries(changes.map((change, idx) => [`passengers.$[p${idx}].seatNumber`, change.to])),
+      $push: {
+        modifications: {
+          type: 'seat_change',
+          performedBy: req.user._id,
+          changes
+        }
+      }
+    },
+    {
+      new: true,
+      arrayFilters: changes.map((change, idx) => ({ [`p${idx}._id`]: change.passenger }))
     }
+  );
+
+  if (!updatedBooking) {
+    await swapSeats(booking.flight, toSeats, fromSeats);
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  await auditBooking('seats_changed', { before: booking, after: updatedBooking });
+
+  res.status(200).json({
+    success: true,
+    message: 'Seats changed successfully',
+    data: updatedBooking
+  });
+}));
+
+router.patch('/:id/passengers/:passengerId', [
+  auth,
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { firstName, lastName } = req.body;
+  if (!firstName && !lastName) {
+    throw new BadRequestError('Provide a corrected first name or last name');
+  }
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.user.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to modify this booking');
+  }
+
+  if (booking.bookingStatus === 'cancelled') {
+    throw new BadRequestError('Cancelled bookings cannot be modified');
+  }
+
+  const passenger = booking.passengers.id(req.params.passengerId);
+  if (!passenger) {
+    throw new NotFoundError('Passenger not found in this booking');
+  }
+
+  if (passenger.nameCorrections >= bookingChanges.maxNameCorrectionsPerPassenger) {
+    throw new BadRequestError(`Names can only be corrected ${bookingChanges.maxNameCorrectionsPerPassenger} times per passenger`);
+  }
+
+  const corrected = {
+    firstName: firstName || passenger.firstName,
+    lastName: lastName || passenger.lastName
+  };
+  const distance =
+    levenshtein(passenger.firstName.toLowerCase(), corrected.firstName.toLowerCase()) +
+    levenshtein(passenger.lastName.toLowerCase(), corrected.lastName.toLowerCase());
+  const changed = corrected.firstName !== passenger.firstName || corrected.lastName !== passenger.lastName;
 
-    res.status(200).json({
+  if (!changed) {
+    throw new BadRequestError('The corrected name is identical to the current name');
+  }
+
+  if (distance > bookingChanges.maxNameEditDistance) {
+    throw new BadRequestError(`Name corrections are limited to ${bookingChanges.maxNameEditDistance} characters; passengers cannot be substituted`);
+  }
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: { $ne: 'cancelled' },
+      passengers: { $elemMatch: { _id: passenger._id, nameCorrections: passenger.nameCorrections } }
+    },
+    {
+      $set: {
+        'passengers.$.firstName': corrected.firstName,
+        'passengers.$.lastName': corrected.lastName
+      },
+      $inc: { 'passengers.$.nameCorrections': 1 },
+      $push: {
+        modifications: {
+          type: 'name_correction',
+          performedBy: req.user._id,
+          changes: [{
+            passenger: passenger._id,
+            from: { firstName: passenger.firstName, lastName: passenger.lastName },
+            to: corrected
+          }]
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updatedBooking) {
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  await auditBooking('passenger_renamed', {
+    before: booking,
+    after: updatedBooking,
+    metadata: { passenger: passenger._id }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Passenger name corrected successfully',
+    data: updatedBooking
+  });
+}));
+
+router.patch('/:id/flight', [
+  auth,
+  body('flightId').isMongoId().withMessage('Valid flight ID is required'),
+  body('seats').isArray({ min: 1 }).withMessage('A seat is required for every passenger'),
+  body('seats.*.passengerId').isMongoId().withMessage('Valid passenger ID is required'),
+  body('seats.*.seatNumber').trim().notEmpty().withMessage('Seat number is required').toUpperCase(),
+  body('seats.*.fareCode').optional().trim().notEmpty().withMessage('Fare code cannot be empty if provided'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { flightId, seats: requested } = req.body;
+
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    throw new NotFoundError('Booking not found');
+  }
+
+  if (booking.user.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to modify this booking');
+  }
+
+  if (booking.bookingStatus !== 'confirmed') {
+    throw new BadRequestError('Only confirmed bookings can be moved to another flight');
+  }
+
+  if (booking.segments.length > 0) {
+    throw new BadRequestError('Multi-segment itineraries cannot be moved to another flight');
+  }
+
+  if (booking.flight.toString() === flightId) {
+    throw new BadRequestError('Booking is already on this flight');
+  }
+
+  if (changeAwaitingPayment(booking)) {
+    throw new BadRequestError('A flight change for this booking is still awaiting payment');
+  }
+
+  const byPassenger = new Map(requested.map(entry => [entry.passengerId, entry]));
+  if (byPassenger.size !== requested.length ||
+      booking.passengers.length !== requested.length ||
+      booking.passengers.some(p => !byPassenger.has(p._id.toString()))) {
+    throw new BadRequestError('Provide exactly one seat for every passenger in the booking');
+  }
+
+  const newSeatNumbers = requested.map(entry => entry.seatNumber);
+  if (new Set(newSeatNumbers).size !== newSeatNumbers.length) {
+    throw new BadRequestError('Duplicate seat numbers in booking');
+  }
+
+  const unchangeable = booking.passengers.filter(p => p.fareRules && p.fareRules.changeable === false);
+  if (unchangeable.length > 0) {
+    throw new BadRequestError('One or more passengers hold a fare that does not allow flight changes');
+  }
+
+  const currentFlight = await Flight.findById(booking.flight);
+  if (!currentFlight) {
+    throw new NotFoundError('Flight for this booking no longer exists');
+  }
+  assertNotDeparted(currentFlight);
+
+  const { flight: newFlight, seats } = await validateSeatNumbers(flightId, newSeatNumbers);
+  assertNotDeparted(newFlight);
+
+  if (newFlight.origin !== currentFlight.origin || newFlight.destination !== currentFlight.destination) {
+    throw new BadRequestError(`Bookings can only move to another ${currentFlight.origin}-${currentFlight.destination} flight`);
+  }
+
+  const now = new Date();
+  const priced = pricePassengers(newFlight, seats, booking.passengers.map(p => {
+    const entry = byPassenger.get(p._id.toString());
+    const cabinClass = seats.get(entry.seatNumber).cabinClass;
+    const keepFare = cabinFares(newFlight, cabinClass, now).some(fare => fare.code === p.fareCode);
+
+    return {
+      ...p.toObject(),
+      seatNumber: entry.seatNumber,
+      fareCode: entry.fareCode || (keepFare ? p.fareCode : undefined)
+    };
+  }), now);
+
+  const changeFee = booking.passengers.reduce((sum, p) => sum + ((p.fareRules && p.fareRules.changeFee) || 0), 0);
+  const fareDifference = priced.totalAmount - booking.totalAmount;
+  const amountDue = fareDifference + changeFee;
+
+  const oldSeatNumbers = booking.passengers.map(p => p.seatNumber);
+  const fields = {
+    passengers: priced.passengers,
+    fareTotal: priced.fareTotal,
+    taxes: priced.taxes,
+    taxTotal: priced.taxTotal,
+    totalAmount: priced.totalAmount,
+    pricedAt: priced.pricedAt
+  };
+  const modification = {
+    type: 'flight_change',
+    performedBy: req.user._id,
+    changes: [{
+      from: { flight: booking.flight, seats: oldSeatNumbers, totalAmount: booking.totalAmount },
+      to: { flight: newFlight._id, seats: newSeatNumbers, totalAmount: priced.totalAmount }
+    }],
+    fareDifference,
+    changeFee,
+    amountDue
+  };
+
+  await reserveSeats(flightId, newSeatNumbers);
+
+  // Money owed is collected first: the booking moves when the payment webhook
+  // confirms it, and the reserved seats are released if it fails.
+  if (amountDue > 0) {
+    const { booking: pendingBooking, intent } = await startChangePayment(
+      booking,
+      { ...modification, pendingUpdate: { flight: newFlight._id, fields } },
+      newSeatNumbers
+    );
+
+    await auditBooking('flight_change_requested', {
+      before: booking,
+      after: pendingBooking,
+      metadata: { fareDifference, changeFee, amountDue, intentId: intent.id }
+    });
+
+    return res.status(202).json({
       success: true,
-      message: 'Booking cancelled successfully',
-      data: booking
+      message: 'Flight change will be applied once the payment succeeds',
+      data: pendingBooking,
+      fareDifference,
+      changeFee,
+      amountDue,
+      payment: {
+        intentId: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status,
+        amount: intent.amount,
+        currency: intent.currency
+      }
     });
-  } catch (error) {
-    console.error('Cancel Booking Error:', error);
-    
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
+  }
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'confirmed',
+      flight: booking.flight,
+      totalSeats: booking.totalSeats,
+      'modifications.payment.status': { $ne: 'pending' }
+    },
+    {
+      $set: { flight: newFlight._id, ...fields },
+      $push: { modifications: modification }
+    },
+    { new: true }
+  );
 
-    res.status(500).json({
-      success: false,
-      message: 'Error cancelling booking',
-      error: error.message
+  if (!updatedBooking) {
+    await releaseSeats(flightId, newSeatNumbers);
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  await releaseSeats(booking.flight, oldSeatNumbers);
+
+  let refundRecord;
+  if (amountDue < 0 && ['paid', 'partially_refunded'].includes(updatedBooking.paymentStatus)) {
+    updatedBooking.refunds.push({
+      amount: -amountDue,
+      fareRefund: -amountDue,
+      taxRefund: 0,
+      fee: 0,
+      reason: 'Fare difference after flight change'
     });
+    refundRecord = await settleRefund(
+      updatedBooking,
+      updatedBooking.refunds[updatedBooking.refunds.length - 1]
+    );
   }
-});
+
+  await auditBooking('flight_changed', {
+    before: booking,
+    after: updatedBooking,
+    metadata: { fareDifference, changeFee, amountDue }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Booking moved to the new flight',
+    data: updatedBooking,
+    fareDifference,
+    changeFee,
+    amountDue,
+    ...(refundRecord && { refund: refundRecord })
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -1,202 +1,861 @@
 const express = require('express');
 const router = express.Router();
-const { query, validationResult } = require('express-validator');
+const { query, body } = require('express-validator');
 const Flight = require('../models/Flight');
 const auth = require('../middleware/auth');
-const Booking = require('../models/Booking');
+const authorize = require('../middleware/authorize');
+const asyncHandler = require('../middleware/asyncHandler');
+const validate = require('../middleware/validate');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const limits = require('../config/rateLimits');
+const Aircraft = require('../models/Aircraft');
+const {
+  FlightNotFoundError,
+  activeHolds,
+  holdSeats,
+  releaseHold
+} = require('../utils/seatInventory');
+const { withCurrentFares } = require('../utils/fares');
+const { buildQuote, signQuote } = require('../utils/quotes');
+const { expireUnpaidBookings } = require('../utils/bookingPayments');
+const { hasActiveBookings, cancelFlightBookings } = require('../utils/flightCancellation');
+const { auditFlight, auditHistory } = require('../utils/audit');
+const { CABIN_CLASSES } = require('../config/cabins');
+const connectionRules = require('../config/connections');
+const { searchItineraries } = require('../utils/itineraries');
+const { calendarDays, buildFareCalendar } = require('../utils/fareCalendar');
+const {
+  SORT_OPTIONS,
+  PROJECTABLE_FIELDS,
+  TIME_OF_DAY,
+  parseList,
+  toNumber,
+  parsePagination,
+  airlineCondition,
+  matchesAirlines,
+  matchesTimeFilters,
+  hasTimeFilters,
+  basePriceCondition,
+  pickFields,
+  paginate
+} = require('../utils/flightFilters');
+const { multiplierRange } = require('../utils/pricing');
+const searchRules = require('../config/search');
+const { airportTimezone, isKnownAirport, resolveLocation } = require('../utils/airports');
+const { DAY_MS, localDate, localDayRange, localWeekday } = require('../utils/timezones');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'airline',
+  'airlineCode',
+  'flightNumber',
+  'origin',
+  'destination',
+  'aircraft',
+  'departure',
+  'arrival',
+  'operationalDays',
+  'fares'
+];
+
+const flightValidators = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body('airline')).trim().notEmpty().withMessage('Airline is required'),
+    field(body('airlineCode')).trim().notEmpty().withMessage('Airline code is required').toUpperCase(),
+    field(body('flightNumber')).isInt({ min: 1 }).withMessage('Valid flight number is required').toInt(),
+    field(body('origin')).trim().toUpperCase().custom(isKnownAirport).withMessage('Origin must be a known airport code'),
+    field(body('destination')).trim().toUpperCase().custom(isKnownAirport).withMessage('Destination must be a known airport code'),
+    field(body('aircraft')).isMongoId().withMessage('Valid aircraft ID is required'),
+    field(body('departure')).isISO8601().withMessage('Valid departure date is required'),
+    field(body('arrival')).isISO8601().withMessage('Valid arrival date is required'),
+    body('operationalDays').optional().isArray().withMessage('Operational days must be an array'),
+    body('operationalDays.*').isInt({ min: 0, max: 6 }).withMessage('Operational days must be 0 (Sunday) to 6').toInt(),
+    field(body('fares')).isArray({ min: 1 }).withMessage('At least one fare is required'),
+    body('fares.*.cabinClass').isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+    body('fares.*.code').trim().notEmpty().withMessage('Fare code is required'),
+    body('fares.*.price').isFloat({ min: 0 }).withMessage('Fare price must be a positive number').toFloat()
+  ];
+};
+
+const pickFlightFields = (source) => {
+  return Object.fromEntries(EDITABLE_FIELDS
+    .filter(field => source[field] !== undefined)
+    .map(field => [field, source[field]]));
+};
+
+const findJourneyItineraries = async ({
+  originAirports,
+  destinationAirports,
+  date,
+  cabinClass,
+  passengers,
+  maxStops,
+  sortBy,
+  filters = {},
+  now
+}) => {
+  const { start, end } = localDayRange(date, airportTimezone(originAirports[0]));
+  const itineraries = await searchItineraries({
+    originAirports,
+    destinationAirports,
+    start,
+    end,
+    cabinClass,
+    minSeats: passengers,
+    maxStops,
+    sortBy,
+    now
+  });
+
+  const { airlines = [], minPrice, maxPrice, maxDuration } = filters;
+
+  return itineraries.filter(itinerary => {
+    const first = itinerary.segments[0];
+    const last = itinerary.segments[itinerary.segments.length - 1];
+
+    return (airlines.length === 0 || itinerary.segments.every(segment => matchesAirlines(segment, airlines))) &&
+      (minPrice === undefined || itinerary.totalPrice >= minPrice) &&
+      (maxPrice === undefined || itinerary.totalPrice <= maxPrice) &&
+      (!maxDuration || itinerary.totalDurationMinutes <= maxDuration) &&
+      matchesTimeFilters({ ...first, arrival: last.arrival, destination: last.destination }, filters);
+  });
+};
+
+const timeOfDay = (field) => {
+  return query(field).optional().matches(TIME_OF_DAY).withMessage(`${field} must be a time in HH:mm format`);
+};
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('fields').optional().custom(value => parseList(value).every(field => PROJECTABLE_FIELDS.includes(field)))
+    .withMessage(`Fields must be a comma-separated list of: ${PROJECTABLE_FIELDS.join(', ')}`)
+];
 
 router.get('/search', [
     auth,
     query('origin').optional().trim().notEmpty().withMessage('Origin cannot be empty if provided'),
     query('destination').optional().trim().notEmpty().withMessage('Destination cannot be empty if provided'),
-    query('date').optional().isISO8601().withMessage('Valid date format required if provided')
-  ], async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          errors: errors.array()
-        });
-      }
-  
-      const { origin, destination, date, minPrice, maxPrice, airline, sortBy } = req.query;
-  
-      const searchQuery = {
-        availableSeats: { $gt: 0 }
+    query('date').optional().isISO8601().withMessage('Valid date format required if provided'),
+    query('returnDate').optional().isISO8601().withMessage('Valid return date format required if provided'),
+    query('cabinClass').optional().isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+    query('maxStops').optional().isInt({ min: 0, max: connectionRules.maxStops })
+      .withMessage(`Max stops must be between 0 and ${connectionRules.maxStops}`).toInt(),
+    query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be a non-negative number').toFloat(),
+    query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be a non-negative number').toFloat(),
+    query('sortBy').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+    query('maxDuration').optional().isInt({ min: 1 }).withMessage('Maximum duration must be a positive number of minutes').toInt(),
+    query('passengers').optional().isInt({ min: 1, max: 9 }).withMessage('Passengers must be between 1 and 9').toInt(),
+    query('airline').optional().custom(value => parseList(value).length > 0).withMessage('Airline cannot be empty if provided'),
+    timeOfDay('departureTimeFrom'),
+    timeOfDay('departureTimeTo'),
+    timeOfDay('arrivalTimeFrom'),
+    timeOfDay('arrivalTimeTo'),
+    ...paginationValidators,
+    validate
+  ], asyncHandler(async (req, res) => {
+    const {
+      origin,
+      destination,
+      date,
+      returnDate,
+      cabinClass,
+      sortBy = 'price_asc',
+      departureTimeFrom,
+      departureTimeTo,
+      arrivalTimeFrom,
+      arrivalTimeTo
+    } = req.query;
+    const minPrice = toNumber(req.query.minPrice);
+    const maxPrice = toNumber(req.query.maxPrice);
+    const maxStops = toNumber(req.query.maxStops);
+    const maxDuration = toNumber(req.query.maxDuration);
+    const passengers = toNumber(req.query.passengers) || 1;
+    const { page, limit } = parsePagination(req.query);
+    const airlines = parseList(req.query.airline);
+    const fields = parseList(req.query.fields);
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new BadRequestError('Minimum price cannot be greater than maximum price');
+    }
+
+    if (returnDate && (!origin || !destination || !date)) {
+      throw new BadRequestError('Round-trip search needs an origin, a destination and an outbound date');
+    }
+
+    if (returnDate && returnDate.slice(0, 10) < date.slice(0, 10)) {
+      throw new BadRequestError('Return date cannot be before the outbound date');
+    }
+
+    const now = new Date();
+    const searchQuery = {
+      status: { $ne: 'cancelled' },
+      availableSeats: { $gte: passengers },
+      departure: { $gt: now }
+    };
+
+    const originAirports = origin ? resolveLocation(origin) : [];
+    const destinationAirports = destination ? resolveLocation(destination) : [];
+
+    if (origin && originAirports.length === 0) {
+      throw new BadRequestError(`No airport or city matches "${origin}"`);
+    }
+
+    if (destination && destinationAirports.length === 0) {
+      throw new BadRequestError(`No airport or city matches "${destination}"`);
+    }
+
+    if (originAirports.length > 0) {
+      searchQuery.origin = { $in: originAirports };
+    }
+
+    if (destinationAirports.length > 0) {
+      searchQuery.destination = { $in: destinationAirports };
+    }
+
+    const searchDay = date ? date.slice(0, 10) : null;
+    if (searchDay) {
+      const { start, end } = originAirports.length > 0
+        ? localDayRange(searchDay, airportTimezone(originAirports[0]))
+        : { start: new Date(Date.parse(searchDay) - DAY_MS / 2), end: new Date(Date.parse(searchDay) + DAY_MS * 1.5) };
+
+      searchQuery.departure = {
+        $gt: now,
+        $gte: start,
+        $lte: end
       };
-  
-      if (origin && origin.trim()) {
-        searchQuery.origin = origin.trim().toUpperCase();
-      }
-  
-      if (destination && destination.trim()) {
-        searchQuery.destination = destination.trim().toUpperCase();
-      }
-  
-      if (date) {
-        const searchDate = new Date(date);
-        const dayOfWeek = searchDate.getDay();
-  
-        searchQuery.operationalDays = dayOfWeek;
-  
-        const startOfDay = new Date(searchDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(searchDate);
-        endOfDay.setHours(23, 59, 59, 999);
-  
-        searchQuery.departure = {
-          $gte: startOfDay,
-          $lte: endOfDay
-        };
-      }
-  
-      if (minPrice || maxPrice) {
-        searchQuery.price = {};
-        if (minPrice) searchQuery.price.$gte = parseFloat(minPrice);
-        if (maxPrice) searchQuery.price.$lte = parseFloat(maxPrice);
+    }
+
+    if (cabinClass) {
+      searchQuery.cabins = { $elemMatch: { cabinClass, availableSeats: { $gte: passengers } } };
+      searchQuery['fares.cabinClass'] = cabinClass;
+    }
+
+    if (airlines.length > 0) {
+      Object.assign(searchQuery, airlineCondition(airlines));
+    }
+
+    if (maxDuration) {
+      searchQuery.durationMinutes = { $lte: maxDuration };
+    }
+
+    let sortOptions = {};
+    let priceSort = 0;
+    switch (sortBy) {
+      case 'price_asc':
+        priceSort = 1;
+        break;
+      case 'price_desc':
+        priceSort = -1;
+        break;
+      case 'departure_asc':
+        sortOptions.departure = 1;
+        break;
+      case 'departure_desc':
+        sortOptions.departure = -1;
+        break;
+      case 'duration':
+        sortOptions.durationMinutes = 1;
+        break;
+    }
+
+    const filters = { airlines, minPrice, maxPrice, maxDuration, departureTimeFrom, departureTimeTo, arrivalTimeFrom, arrivalTimeTo };
+
+    // Live fares, local times and a local day without a known origin timezone
+    // can only be checked after pricing; everything else pages in the database
+    const filteredInMemory = minPrice !== undefined ||
+      maxPrice !== undefined ||
+      hasTimeFilters(filters) ||
+      Boolean(searchDay && originAirports.length === 0);
+    const pricedInMemory = priceSort !== 0 || filteredInMemory;
+
+    let items;
+    let pagination;
+
+    if (pricedInMemory) {
+      const candidateQuery = { ...searchQuery, ...basePriceCondition({ cabinClass, minPrice, maxPrice }, multiplierRange()) };
+      // Base price order keeps the cheapest (or dearest) flights among the
+      // candidates when there are more than can be priced
+      const candidates = await Flight.find(candidateQuery)
+        .sort({ ...(priceSort ? { price: priceSort } : sortOptions), _id: 1 })
+        .limit(searchRules.maxPricedCandidates);
+      const truncated = candidates.length === searchRules.maxPricedCandidates;
+
+      const results = candidates
+        .map(flight => withCurrentFares(flight, cabinClass, now))
+        .filter(flight => !searchDay || localDate(flight.departure, airportTimezone(flight.origin)) === searchDay)
+        .filter(flight => matchesTimeFilters(flight, filters))
+        .filter(flight => flight.lowestFare &&
+          (minPrice === undefined || flight.lowestFare.price >= minPrice) &&
+          (maxPrice === undefined || flight.lowestFare.price <= maxPrice));
+
+      if (priceSort) {
+        results.sort((a, b) => priceSort * (a.lowestFare.price - b.lowestFare.price));
       }
-  
-      if (airline && airline.trim()) {
-        searchQuery.airline = new RegExp(airline.trim(), 'i');
+
+      ({ items, pagination } = paginate(results, page, limit));
+
+      // Past the cap the total can only be counted when no filter needs the
+      // live fare or local times; pages beyond the candidates come back empty
+      if (truncated) {
+        if (!filteredInMemory) {
+          pagination.total = await Flight.countDocuments(candidateQuery);
+          pagination.totalPages = Math.ceil(pagination.total / limit);
+        }
+        pagination.truncated = true;
       }
-  
-      let sortOptions = {};
-      switch (sortBy) {
-        case 'price_asc':
-          sortOptions.price = 1;
-          break;
-        case 'price_desc':
-          sortOptions.price = -1;
-          break;
-        case 'departure_asc':
-          sortOptions.departure = 1;
-          break;
-        case 'departure_desc':
-          sortOptions.departure = -1;
-          break;
-        case 'duration':
-          sortOptions.duration = 1;
-          break;
-        default:
-          sortOptions.price = 1;
+    } else {
+      const [flights, total] = await Promise.all([
+        Flight.find(searchQuery).sort({ ...sortOptions, _id: 1 }).skip((page - 1) * limit).limit(limit),
+        Flight.countDocuments(searchQuery)
+      ]);
+
+      items = flights.map(flight => withCurrentFares(flight, cabinClass, now));
+      pagination = { page, limit, total, totalPages: Math.ceil(total / limit) };
+    }
+
+    const journeyOptions = { cabinClass, passengers, maxStops, sortBy, filters, now };
+
+    const itineraries = originAirports.length > 0 && destinationAirports.length > 0 && searchDay
+      ? (await findJourneyItineraries({ ...journeyOptions, originAirports, destinationAirports, date: searchDay }))
+        .slice(0, limit)
+      : [];
+
+    const returnItineraries = returnDate
+      ? (await findJourneyItineraries({
+        ...journeyOptions,
+        originAirports: destinationAirports,
+        destinationAirports: originAirports,
+        date: returnDate.slice(0, 10)
+      })).slice(0, limit)
+      : undefined;
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      pagination,
+      data: items.map(flight => pickFields(flight, fields)),
+      itineraries,
+      ...(returnItineraries && { returnItineraries }),
+      searchCriteria: {
+        origin: origin || 'All',
+        originAirports,
+        destination: destination || 'All',
+        destinationAirports,
+        date: date || 'All dates',
+        ...(returnDate && { returnDate }),
+        priceRange: minPrice !== undefined || maxPrice !== undefined ? `${minPrice || 0} - ${maxPrice === undefined ? '∞' : maxPrice}` : 'All',
+        airline: airlines.length > 0 ? airlines : 'All',
+        cabinClass: cabinClass || 'All',
+        passengers,
+        sortBy
       }
-  
-      const flights = await Flight.find(searchQuery).sort(sortOptions);
-  
-      res.status(200).json({
-        success: true,
-        count: flights.length,
-        data: flights,
-        searchCriteria: {
-          origin: origin || 'All',
-          destination: destination || 'All',
-          date: date || 'All dates',
-          priceRange: minPrice || maxPrice ? `${minPrice || 0} - ${maxPrice || '∞'}` : 'All',
-          airline: airline || 'All'
-        }
-      });
-    } catch (error) {
-      console.error('Flight Search Error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error searching flights',
-        error: error.message
-      });
+    });
+  }));
+
+router.get('/calendar', [
+  auth,
+  query('origin').trim().notEmpty().withMessage('Origin is required'),
+  query('destination').trim().notEmpty().withMessage('Destination is required'),
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  query('date').optional().isISO8601().withMessage('Valid date format required if provided'),
+  query('window').optional().isInt({ min: 1, max: 15 }).withMessage('Window must be between 1 and 15 days').toInt(),
+  query('cabinClass').optional().isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+  validate
+], asyncHandler(async (req, res) => {
+  const { origin, destination, month, date, cabinClass } = req.query;
+
+  if (Boolean(month) === Boolean(date)) {
+    throw new BadRequestError('Provide either a month or a date with an optional window');
+  }
+
+  const originAirports = resolveLocation(origin);
+  const destinationAirports = resolveLocation(destination);
+
+  for (const [value, airports] of [[origin, originAirports], [destination, destinationAirports]]) {
+    if (airports.length === 0) {
+      throw new BadRequestError(`No airport or city matches "${value}"`);
     }
+  }
+
+  const days = calendarDays({ month, date, window: req.query.window || 3 });
+  const calendar = await buildFareCalendar({
+    originAirports,
+    destinationAirports,
+    days,
+    cabinClass
   });
 
-router.get('/:id/booked-seats', auth, async (req, res) => {
-    try {
-      const flightId = req.params.id;
+  const available = calendar.filter(day => day.lowestFare !== null);
+  const cheapest = available.reduce((min, day) => (!min || day.lowestFare < min.lowestFare ? day : min), null);
 
-      const bookings = await Booking.find({
-        flight: flightId,
-        bookingStatus: 'confirmed'
-      }).select('passengers');
+  res.status(200).json({
+    success: true,
+    count: calendar.length,
+    data: calendar,
+    cheapestDate: cheapest ? cheapest.date : null,
+    searchCriteria: {
+      origin,
+      originAirports,
+      destination,
+      destinationAirports,
+      from: days[0],
+      to: days[days.length - 1],
+      cabinClass: cabinClass || 'All'
+    }
+  });
+}));
 
-      const bookedSeats = bookings.flatMap(booking => 
-        booking.passengers.map(passenger => passenger.seatNumber)
-      );
+router.post('/search/multi-city', [
+  auth,
+  body('legs').isArray({ min: 2, max: connectionRules.maxJourneys })
+    .withMessage(`A multi-city search needs between 2 and ${connectionRules.maxJourneys} legs`),
+  body('legs.*.origin').trim().notEmpty().withMessage('Origin is required for every leg'),
+  body('legs.*.destination').trim().notEmpty().withMessage('Destination is required for every leg'),
+  body('legs.*.date').isISO8601().withMessage('Valid date is required for every leg'),
+  body('cabinClass').optional().isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+  body('maxStops').optional().isInt({ min: 0, max: connectionRules.maxStops })
+    .withMessage(`Max stops must be between 0 and ${connectionRules.maxStops}`).toInt(),
+  validate
+], asyncHandler(async (req, res) => {
+  const { legs, cabinClass, maxStops, sortBy } = req.body;
 
-      const uniqueBookedSeats = [...new Set(bookedSeats)];
-  
-      res.status(200).json({
-        success: true,
-        data: {
-          flightId,
-          bookedSeats: uniqueBookedSeats,
-          totalBooked: uniqueBookedSeats.length
-        }
-      });
-    } catch (error) {
-      console.error('Get Booked Seats Error:', error);
-      
-      if (error.kind === 'ObjectId') {
-        return res.status(404).json({
-          success: false,
-          message: 'Flight not found'
-        });
+  for (const [idx, leg] of legs.entries()) {
+    for (const field of ['origin', 'destination']) {
+      if (resolveLocation(leg[field]).length === 0) {
+        throw new BadRequestError(`No airport or city matches "${leg[field]}" (leg ${idx + 1})`);
       }
-  
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching booked seats',
-        error: error.message
-      });
     }
-  });  
 
-router.get('/:id', auth, async (req, res) => {
-  try {
+    if (idx > 0 && leg.date.slice(0, 10) < legs[idx - 1].date.slice(0, 10)) {
+      throw new BadRequestError(`Leg ${idx + 1} cannot depart before leg ${idx}`);
+    }
+  }
+
+  const now = new Date();
+  const data = [];
+  for (const leg of legs) {
+    const originAirports = resolveLocation(leg.origin);
+    const destinationAirports = resolveLocation(leg.destination);
+
+    data.push({
+      origin: leg.origin,
+      originAirports,
+      destination: leg.destination,
+      destinationAirports,
+      date: leg.date.slice(0, 10),
+      itineraries: await findJourneyItineraries({
+        originAirports,
+        destinationAirports,
+        date: leg.date.slice(0, 10),
+        cabinClass,
+        maxStops,
+        sortBy,
+        now
+      })
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+}));
+
+router.get('/:id/booked-seats', auth, asyncHandler(async (req, res) => {
+  const flightId = req.params.id;
+
+  await expireUnpaidBookings(flightId);
+  const flight = await Flight.findById(flightId).select('bookedSeats +seatHolds');
+
+  if (!flight) {
+    throw new FlightNotFoundError();
+  }
+
+  const uniqueBookedSeats = [...new Set(flight.bookedSeats)];
+
+  const heldSeats = [];
+  const myHeldSeats = [];
+  activeHolds(flight).forEach(hold => {
+    const target = hold.user.toString() === req.user._id.toString() ? myHeldSeats : heldSeats;
+    target.push(...hold.seats);
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flightId,
+      bookedSeats: uniqueBookedSeats,
+      heldSeats,
+      myHeldSeats,
+      totalBooked: uniqueBookedSeats.length,
+      totalHeld: heldSeats.length + myHeldSeats.length
+    }
+  });
+}));
+
+router.get('/:id/seat-map', auth, asyncHandler(async (req, res) => {
+  await expireUnpaidBookings(req.params.id);
+  const flight = await Flight.findById(req.params.id)
+    .select('aircraft bookedSeats +seatHolds')
+    .populate('aircraft');
+
+  if (!flight) {
+    throw new FlightNotFoundError();
+  }
+
+  if (!flight.aircraft) {
+    throw new NotFoundError('No seat map is configured for this flight');
+  }
+
+  const booked = new Set(flight.bookedSeats);
+  const held = new Map();
+  activeHolds(flight).forEach(hold => {
+    const mine = hold.user.toString() === req.user._id.toString();
+    hold.seats.forEach(seat => held.set(seat, mine ? 'held_by_you' : 'held'));
+  });
+
+  const rows = [];
+  const summary = { total: 0, available: 0, booked: 0, held: 0, blocked: 0 };
+
+  flight.aircraft.getSeats().forEach(seat => {
+    let status = 'available';
+    if (seat.blocked) status = 'blocked';
+    else if (booked.has(seat.seatNumber)) status = 'booked';
+    else if (held.has(seat.seatNumber)) status = held.get(seat.seatNumber);
+
+    summary.total += 1;
+    summary[status === 'held_by_you' ? 'held' : status] += 1;
+
+    let row = rows[rows.length - 1];
+    if (!row || row.row !== seat.row) {
+      row = { row: seat.row, cabinClass: seat.cabinClass, exitRow: seat.exitRow, seats: [] };
+      rows.push(row);
+    }
+    row.seats.push({
+      seatNumber: seat.seatNumber,
+      column: seat.column,
+      position: seat.position,
+      status
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      flightId: flight._id,
+      aircraft: {
+        code: flight.aircraft.code,
+        name: flight.aircraft.name
+      },
+      cabins: flight.aircraft.cabins,
+      rows,
+      summary
+    }
+  });
+}));
+
+router.post('/:id/quote', [
+  auth,
+  body('passengers').isInt({ min: 1 }).withMessage('Passenger count must be at least 1').toInt(),
+  body('cabinClass').optional().isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+  body('fareCode').optional().trim().notEmpty().withMessage('Fare code cannot be empty if provided'),
+  validate
+], asyncHandler(async (req, res) => {
+  const { passengers, cabinClass = 'economy', fareCode } = req.body;
+
+  const flight = await Flight.findById(req.params.id);
+  if (!flight) {
+    throw new FlightNotFoundError();
+  }
+
+  if (flight.status === 'cancelled') {
+    throw new ConflictError('This flight has been cancelled', 'FLIGHT_CANCELLED');
+  }
+
+  const cabin = flight.cabins.find(c => c.cabinClass === cabinClass);
+  if (!cabin || cabin.availableSeats < passengers) {
+    throw new ConflictError(`Only ${cabin ? cabin.availableSeats : 0} ${cabinClass} seats available`, 'INSUFFICIENT_SEATS');
+  }
+
+  const quote = buildQuote(flight, { cabinClass, fareCode, passengers });
+  const { token, quoteId, expiresAt } = signQuote(quote, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      quoteToken: token,
+      quoteId,
+      expiresAt,
+      ...quote
+    }
+  });
+}));
+
+router.post('/:id/holds', [
+  auth,
+  rateLimit({
+    name: 'seat-holds',
+    ...limits.seatHolds,
+    keyGenerator: byUser,
+    message: 'Too many seat holds, please try again later'
+  }),
+  body('seats').isArray({ min: 1 }).withMessage('At least one seat is required'),
+  body('seats.*').isString().trim().notEmpty().withMessage('Seat number is required').toUpperCase(),
+  validate
+], asyncHandler(async (req, res) => {
+  const { seats } = req.body;
+
+  if (new Set(seats).size !== seats.length) {
+    throw new BadRequestError('Duplicate seat numbers in hold');
+  }
+
+  await expireUnpaidBookings(req.params.id);
+  const hold = await holdSeats(req.params.id, req.user._id, seats);
+
+  res.status(201).json({
+    success: true,
+    message: 'Seats held successfully',
+    data: {
+      holdId: hold._id,
+      flightId: req.params.id,
+      seats: hold.seats,
+      expiresAt: hold.expiresAt
+    }
+  });
+}));
+
+router.delete('/:id/holds/:holdId', auth, asyncHandler(async (req, res) => {
+  const released = await releaseHold(req.params.id, req.user._id, req.params.holdId);
+
+  if (!released) {
+    throw new NotFoundError('Seat hold not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Seat hold released'
+  });
+}));
+
+router.get('/:id/audit', [
+  auth,
+  authorize('admin'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  validate
+], asyncHandler(async (req, res) => {
+  if (!await Flight.exists({ _id: req.params.id })) {
+    throw new FlightNotFoundError();
+  }
+
+  const { entries, pagination } = await auditHistory('Flight', req.params.id, parsePagination(req.query, 50));
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination,
+    data: entries
+  });
+}));
+
+router.get('/:id', auth, asyncHandler(async (req, res) => {
+  const flight = await Flight.findById(req.params.id);
+
+  if (!flight) {
+    throw new FlightNotFoundError();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withCurrentFares(flight)
+  });
+}));
+
+router.get('/', [auth, ...paginationValidators, validate], asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const fields = parseList(req.query.fields);
+
+  const [flights, total] = await Promise.all([
+    Flight.find().sort({ departure: 1 }).skip((page - 1) * limit).limit(limit),
+    Flight.countDocuments()
+  ]);
+  const now = new Date();
+
+  res.status(200).json({
+    success: true,
+    count: flights.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: flights.map(flight => pickFields(withCurrentFares(flight, undefined, now), fields))
+  });
+}));
+
+router.post('/', [
+  auth,
+  authorize('admin'),
+  ...flightValidators(false),
+  validate
+], asyncHandler(async (req, res) => {
+  const fields = pickFlightFields(req.body);
+
+  if (new Date(fields.arrival) <= new Date(fields.departure)) {
+    throw new BadRequestError('Arrival must be after departure');
+  }
+
+  const flight = await Flight.create({
+    ...fields,
+    operationalDays: fields.operationalDays || [localWeekday(fields.departure, airportTimezone(fields.origin))],
+    price: Math.min(...fields.fares.map(fare => fare.price))
+  });
+
+  await auditFlight('created', { after: flight });
+
+  res.status(201).json({
+    success: true,
+    message: 'Flight created successfully',
+    data: flight
+  });
+}));
+
+const UPDATE_ATTEMPTS = 3;
+
+router.put('/:id', [
+  auth,
+  authorize('admin'),
+  ...flightValidators(true),
+  validate
+], asyncHandler(async (req, res) => {
+  const updates = pickFlightFields(req.body);
+
+  // Seat counters are recomputed from bookedSeats when the aircraft changes,
+  // so the write only lands if no seat was booked or released since the read.
+  for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
     const flight = await Flight.findById(req.params.id);
 
     if (!flight) {
-      return res.status(404).json({
-        success: false,
-        message: 'Flight not found'
-      });
+      throw new FlightNotFoundError();
     }
 
-    res.status(200).json({
-      success: true,
-      data: flight
-    });
-  } catch (error) {
-    console.error('Get Flight Error:', error);
-    
-    if (error.kind === 'ObjectId') {
-      return res.status(404).json({
-        success: false,
-        message: 'Flight not found'
+    if (flight.status === 'cancelled') {
+      throw new BadRequestError('Cancelled flights cannot be edited');
+    }
+
+    const hasBookings = flight.bookedSeats.length > 0;
+
+    if (hasBookings && ((updates.origin && updates.origin !== flight.origin) ||
+        (updates.destination && updates.destination !== flight.destination))) {
+      throw new BadRequestError('The route of a flight with bookings cannot be changed');
+    }
+
+    if (updates.aircraft && updates.aircraft !== flight.aircraft.toString()) {
+      const aircraft = await Aircraft.findById(updates.aircraft);
+      if (!aircraft) {
+        throw new BadRequestError('Aircraft not found');
+      }
+
+      const bookable = new Set(aircraft.getBookableSeats().map(seat => seat.seatNumber));
+      const missing = flight.bookedSeats.filter(seat => !bookable.has(seat));
+      if (missing.length > 0) {
+        throw new BadRequestError(`Booked seats do not exist on the new aircraft: ${missing.join(', ')}`);
+      }
+    }
+
+    const before = flight.toObject();
+    flight.set(updates);
+
+    if (flight.arrival <= flight.departure) {
+      throw new BadRequestError('Arrival must be after departure');
+    }
+
+    await flight.validate();
+    const changes = Object.fromEntries(flight.directModifiedPaths().map(path => [path, flight.get(path)]));
+
+    const updated = await Flight.findOneAndUpdate(
+      { _id: flight._id, status: { $ne: 'cancelled' }, bookedSeats: before.bookedSeats },
+      { $set: changes },
+      { new: true }
+    );
+
+    if (updated) {
+      await auditFlight('updated', { before, after: updated });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Flight updated successfully',
+        data: updated
       });
     }
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching flight',
-      error: error.message
-    });
+  throw new ConflictError('Flight seats kept changing during the update, please try again');
+}));
+
+router.put('/:id/cancel', [
+  auth,
+  authorize('admin'),
+  body('reason').optional().trim().notEmpty().withMessage('Reason cannot be empty if provided'),
+  validate
+], asyncHandler(async (req, res) => {
+  const reason = req.body.reason || 'Operational reasons';
+
+  const flight = await Flight.findById(req.params.id);
+
+  if (!flight) {
+    throw new FlightNotFoundError();
   }
-});
 
-router.get('/', auth, async (req, res) => {
-  try {
-    const flights = await Flight.find().sort({ departure: 1 });
+  if (flight.departure <= new Date()) {
+    throw new BadRequestError('Departed flights cannot be cancelled');
+  }
 
-    res.status(200).json({
+  if (flight.status === 'cancelled') {
+    if (!await hasActiveBookings(flight._id)) {
+      throw new BadRequestError('Flight is already cancelled');
+    }
+
+    const summary = await cancelFlightBookings(flight, flight.cancellationReason);
+
+    return res.status(200).json({
       success: true,
-      count: flights.length,
-      data: flights
-    });
-  } catch (error) {
-    console.error('Get Flights Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching flights',
-      error: error.message
+      message: 'Flight cancellation resumed for its remaining bookings',
+      data: flight,
+      summary
     });
   }
-});
+
+  const cancelledFlight = await Flight.findOneAndUpdate(
+    { _id: flight._id, status: { $ne: 'cancelled' } },
+    {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      seatHolds: []
+    },
+    { new: true }
+  );
+
+  if (!cancelledFlight) {
+    throw new BadRequestError('Flight is already cancelled');
+  }
+
+  await auditFlight('cancelled', { before: flight, after: cancelledFlight, metadata: { reason } });
+
+  const summary = await cancelFlightBookings(cancelledFlight, reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Flight cancelled successfully',
+    data: cancelledFlight,
+    summary
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const Booking = require('../models/Booking');
+const auth = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { getPaymentProvider } = require('../payments');
+const { handlePaymentEvent } = require('../utils/bookingPayments');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+router.post('/webhook', asyncHandler(async (req, res) => {
+  const event = getPaymentProvider().verifyWebhook(req.rawBody, req.headers);
+  const result = await handlePaymentEvent(event);
+
+  res.status(200).json({
+    success: true,
+    received: true,
+    outcome: result.outcome
+  });
+}));
+
+router.post('/mock/:intentId/:outcome', auth, asyncHandler(async (req, res) => {
+  if (process.env.ENABLE_MOCK_PAYMENTS !== 'true') {
+    throw new NotFoundError('Mock payments are not enabled');
+  }
+
+  const provider = getPaymentProvider();
+  if (provider.name !== 'mock') {
+    throw new NotFoundError('Mock payments are not enabled');
+  }
+
+  const { intentId, outcome } = req.params;
+  if (!['succeeded', 'failed'].includes(outcome)) {
+    throw new BadRequestError('Outcome must be succeeded or failed');
+  }
+
+  const booking = await Booking.findOne({
+    $or: [{ 'payment.intentId': intentId }, { 'modifications.payment.intentId': intentId }]
+  });
+  if (!booking || booking.user.toString() !== req.user._id.toString()) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const { payload, headers } = provider.buildWebhookEvent(intentId, outcome, req.body && req.body.failureReason);
+  const event = provider.verifyWebhook(Buffer.from(payload), headers);
+  const result = await handlePaymentEvent(event);
+
+  res.status(200).json({
+    success: true,
+    outcome: result.outcome,
+    data: result.booking || booking
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const FlightSchedule = require('../models/FlightSchedule');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const asyncHandler = require('../middleware/asyncHandler');
+const validate = require('../middleware/validate');
+const { generateFlights } = require('../utils/flightSchedules');
+const { CABIN_CLASSES } = require('../config/cabins');
+const { isKnownAirport } = require('../utils/airports');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+const fareValidators = [
+  body('fares.*.cabinClass').isIn(CABIN_CLASSES).withMessage(`Cabin class must be one of: ${CABIN_CLASSES.join(', ')}`),
+  body('fares.*.code').trim().notEmpty().withMessage('Fare code is required'),
+  body('fares.*.price').isFloat({ min: 0 }).withMessage('Fare price must be a positive number').toFloat()
+];
+
+router.use(auth, authorize('admin'));
+
+router.get('/', asyncHandler(async (req, res) => {
+  const schedules = await FlightSchedule.find()
+    .populate('aircraft', 'code name')
+    .sort({ airlineCode: 1, flightNumber: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: schedules.length,
+    data: schedules
+  });
+}));
+
+router.post('/', [
+  body('airline').trim().notEmpty().withMessage('Airline is required'),
+  body('airlineCode').trim().notEmpty().withMessage('Airline code is required').toUpperCase(),
+  body('flightNumber').isInt({ min: 1 }).withMessage('Valid flight number is required').toInt(),
+  body('origin').trim().toUpperCase().custom(isKnownAirport).withMessage('Origin must be a known airport code'),
+  body('destination').trim().toUpperCase().custom(isKnownAirport).withMessage('Destination must be a known airport code'),
+  body('aircraft').isMongoId().withMessage('Valid aircraft ID is required'),
+  body('departureTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Departure time must be in HH:mm format'),
+  body('durationMinutes').isInt({ min: 1 }).withMessage('Duration must be a positive number of minutes').toInt(),
+  body('operationalDays').isArray({ min: 1 }).withMessage('At least one operational day is required'),
+  body('operationalDays.*').isInt({ min: 0, max: 6 }).withMessage('Operational days must be 0 (Sunday) to 6').toInt(),
+  body('validFrom').isISO8601().withMessage('Valid start date is required'),
+  body('validTo').optional().isISO8601().withMessage('Valid end date format required if provided'),
+  body('fares').isArray({ min: 1 }).withMessage('At least one fare is required'),
+  ...fareValidators,
+  validate
+], asyncHandler(async (req, res) => {
+  const schedule = await FlightSchedule.create({
+    airline: req.body.airline,
+    airlineCode: req.body.airlineCode,
+    flightNumber: req.body.flightNumber,
+    origin: req.body.origin,
+    destination: req.body.destination,
+    aircraft: req.body.aircraft,
+    departureTime: req.body.departureTime,
+    durationMinutes: req.body.durationMinutes,
+    operationalDays: req.body.operationalDays,
+    validFrom: req.body.validFrom,
+    validTo: req.body.validTo,
+    fares: req.body.fares
+  });
+
+  const generated = await generateFlights(schedule);
+
+  res.status(201).json({
+    success: true,
+    message: 'Schedule created successfully',
+    data: schedule,
+    generated
+  });
+}));
+
+router.put('/:id', [
+  body('operationalDays').optional().isArray({ min: 1 }).withMessage('At least one operational day is required'),
+  body('operationalDays.*').isInt({ min: 0, max: 6 }).withMessage('Operational days must be 0 (Sunday) to 6').toInt(),
+  body('validTo').optional({ values: 'null' }).isISO8601().withMessage('Valid end date format required if provided'),
+  body('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+  body('fares').optional().isArray({ min: 1 }).withMessage('At least one fare is required'),
+  ...fareValidators,
+  validate
+], asyncHandler(async (req, res) => {
+  const schedule = await FlightSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new NotFoundError('Schedule not found');
+  }
+
+  ['operationalDays', 'validTo', 'active', 'fares']
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => schedule.set(field, req.body[field]));
+
+  await schedule.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Schedule updated successfully. Flights that were already generated are not changed.',
+    data: schedule
+  });
+}));
+
+router.post('/:id/generate', [
+  body('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt(),
+  validate
+], asyncHandler(async (req, res) => {
+  const schedule = await FlightSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new NotFoundError('Schedule not found');
+  }
+
+  if (!schedule.active) {
+    throw new BadRequestError('Inactive schedules cannot generate flights');
+  }
+
+  const generated = await generateFlights(schedule, { days: req.body.days });
+
+  res.status(200).json({
+    success: true,
+    message: `Generated ${generated.created} flights`,
+    data: generated
+  });
+}));
+
+module.exports = router;
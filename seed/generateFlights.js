@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { generateAllFlights } = require('../utils/flightSchedules');
+
+dotenv.config();
+
+const generate = async () => {
+  const days = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+
+  if (days !== undefined && !(days > 0)) {
+    console.error('Usage: node seed/generateFlights.js [days]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('MongoDB Connected');
+
+    const summary = await generateAllFlights({ days });
+    console.log(`Generated ${summary.created} flights from ${summary.schedules} schedules (${summary.skipped} already existed)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Generate Flights Error:', error);
+    process.exit(1);
+  }
+};
+
+generate();
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const promoteAdmin = async () => {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: node seed/promoteAdmin.js <email>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('MongoDB Connected');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role: 'admin' },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exit(1);
+    }
+
+    console.log(`${user.email} is now an admin`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Promote Admin Error:', error);
+    process.exit(1);
+  }
+};
+
+promoteAdmin();
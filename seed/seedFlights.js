@@ -1,21 +1,56 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Flight = require('../models/Flight');
+const FlightSchedule = require('../models/FlightSchedule');
+const Aircraft = require('../models/Aircraft');
+const { startOfUtcDay, generateAllFlights } = require('../utils/flightSchedules');
 
 dotenv.config();
 
-const flightData = [
+const aircraftData = [
+  {
+    "code": "A320",
+    "name": "Airbus A320",
+    "cabins": [
+      { "cabinClass": "economy", "startRow": 1, "endRow": 30, "layout": "ABC-DEF" }
+    ],
+    "exitRows": [12, 13],
+    "blockedSeats": ["13C", "13D"]
+  },
+  {
+    "code": "A321",
+    "name": "Airbus A321",
+    "cabins": [
+      { "cabinClass": "business", "startRow": 1, "endRow": 3, "layout": "AC-DF" },
+      { "cabinClass": "premium", "startRow": 4, "endRow": 7, "layout": "ABC-DEF" },
+      { "cabinClass": "economy", "startRow": 8, "endRow": 35, "layout": "ABC-DEF" }
+    ],
+    "exitRows": [10, 24],
+    "blockedSeats": []
+  },
+  {
+    "code": "B738",
+    "name": "Boeing 737-800",
+    "cabins": [
+      { "cabinClass": "business", "startRow": 1, "endRow": 2, "layout": "AC-DF" },
+      { "cabinClass": "economy", "startRow": 3, "endRow": 32, "layout": "ABC-DEF" }
+    ],
+    "exitRows": [15, 16],
+    "blockedSeats": ["32A", "32F"]
+  }
+];
+
+const scheduleData = [
   {
     "airline": "Jet Airways",
     "airlineCode": "9W",
     "flightNumber": 186,
     "origin": "PNQ",
-    "availableSeats": 116,
+    "aircraft": "B738",
     "destination": "DEL",
     "price": 6733,
-    "departure": "2013-01-01T10:59:00.000Z",
-    "arrival": "2013-01-01T13:32:00.000Z",
-    "duration": "2h 33m",
+    "departureTime": "10:59",
+    "durationMinutes": 153,
     "operationalDays": [0, 2]
   },
   {
@@ -23,77 +58,71 @@ const flightData = [
     "airlineCode": "9W",
     "flightNumber": 251,
     "origin": "PNQ",
-    "availableSeats": 53,
+    "aircraft": "B738",
     "destination": "DEL",
     "price": 8713,
-    "departure": "2013-01-01T08:17:00.000Z",
-    "arrival": "2013-01-01T10:54:00.000Z",
-    "duration": "2h 37m",
-    "operationalDays": [7]
+    "departureTime": "08:17",
+    "durationMinutes": 157,
+    "operationalDays": [0]
   },
   {
     "airline": "Indigo",
     "airlineCode": "6E",
     "flightNumber": 224,
     "origin": "PNQ",
-    "availableSeats": 87,
+    "aircraft": "A320",
     "destination": "DEL",
     "price": 5996,
-    "departure": "2013-01-01T03:09:00.000Z",
-    "arrival": "2013-01-01T05:25:00.000Z",
-    "duration": "2h 16m",
-    "operationalDays": [7]
+    "departureTime": "03:09",
+    "durationMinutes": 136,
+    "operationalDays": [0]
   },
   {
     "airline": "Air India",
     "airlineCode": "AI",
     "flightNumber": 192,
     "origin": "PNQ",
-    "availableSeats": 28,
+    "aircraft": "A321",
     "destination": "DEL",
     "price": 3652,
-    "departure": "2013-01-01T09:30:00.000Z",
-    "arrival": "2013-01-01T11:31:00.000Z",
-    "duration": "2h 1m",
-    "operationalDays": [7]
+    "departureTime": "09:30",
+    "durationMinutes": 121,
+    "operationalDays": [0]
   },
   {
     "airline": "Spice Jet",
     "airlineCode": "SG",
     "flightNumber": 241,
     "origin": "PNQ",
-    "availableSeats": 29,
+    "aircraft": "B738",
     "destination": "DEL",
     "price": 7413,
-    "departure": "2013-01-01T13:55:00.000Z",
-    "arrival": "2013-01-01T15:43:00.000Z",
-    "duration": "1h 48m",
-    "operationalDays": [7]
+    "departureTime": "13:55",
+    "durationMinutes": 108,
+    "operationalDays": [0]
   },
   {
     "airline": "Indigo",
     "airlineCode": "6E",
     "flightNumber": 240,
     "origin": "PNQ",
-    "availableSeats": 10,
+    "aircraft": "A320",
     "destination": "DEL",
     "price": 4843,
-    "departure": "2013-01-01T05:47:00.000Z",
-    "arrival": "2013-01-01T07:35:00.000Z",
-    "duration": "1h 48m",
-    "operationalDays": [7]
+    "departureTime": "05:47",
+    "durationMinutes": 108,
+    "operationalDays": [0]
   },
   {
     "airline": "Air India",
     "airlineCode": "AI",
     "flightNumber": 167,
     "origin": "PNQ",
-    "availableSeats": 126,
+    "aircraft": "A321",
     "destination": "DEL",
     "price": 2930,
-    "departure": "2013-01-01T12:10:00.000Z",
-    "arrival": "2013-01-01T14:00:00.000Z",
-    "duration": "1h 50m",
+    "departureTime": "12:10",
+    "durationMinutes": 110,
     "operationalDays": [1, 2]
   },
   {
@@ -101,25 +130,23 @@ const flightData = [
     "airlineCode": "SG",
     "flightNumber": 254,
     "origin": "PNQ",
-    "availableSeats": 33,
+    "aircraft": "B738",
     "destination": "DEL",
     "price": 4191,
-    "departure": "2013-01-01T10:01:00.000Z",
-    "arrival": "2013-01-01T12:35:00.000Z",
-    "duration": "2h 34m",
-    "operationalDays": [7]
+    "departureTime": "10:01",
+    "durationMinutes": 154,
+    "operationalDays": [0]
   },
   {
     "airline": "Jet Airways",
     "airlineCode": "9W",
     "flightNumber": 144,
     "origin": "PNQ",
-    "availableSeats": 45,
+    "aircraft": "B738",
     "destination": "DEL",
     "price": 5788,
-    "departure": "2013-01-01T06:09:00.000Z",
-    "arrival": "2013-01-01T09:06:00.000Z",
-    "duration": "2h 57m",
+    "departureTime": "06:09",
+    "durationMinutes": 177,
     "operationalDays": [3, 4]
   },
   {
@@ -127,16 +154,63 @@ const flightData = [
     "airlineCode": "AI",
     "flightNumber": 193,
     "origin": "PNQ",
-    "availableSeats": 71,
+    "aircraft": "A321",
     "destination": "DEL",
     "price": 7460,
-    "departure": "2013-01-01T11:03:00.000Z",
-    "arrival": "2013-01-01T12:57:00.000Z",
-    "duration": "1h 54m",
-    "operationalDays": [6, 5]
+    "departureTime": "11:03",
+    "durationMinutes": 114,
+    "operationalDays": [5, 6]
   }
 ];
 
+const fareTemplates = {
+  economy: [
+    { code: 'saver', name: 'Economy Saver', multiplier: 1, baggage: { cabinKg: 7, checkedKg: 15 }, refundable: false, changeable: true, changeFee: 2500, cancellationFee: 3000 },
+    { code: 'flex', name: 'Economy Flex', multiplier: 1.3, baggage: { cabinKg: 7, checkedKg: 25 }, refundable: true, changeable: true, changeFee: 0, cancellationFee: 500 }
+  ],
+  premium: [
+    { code: 'standard', name: 'Premium Economy', multiplier: 1.8, baggage: { cabinKg: 10, checkedKg: 25 }, refundable: true, changeable: true, changeFee: 1000, cancellationFee: 1500 }
+  ],
+  business: [
+    { code: 'saver', name: 'Business Saver', multiplier: 2.8, baggage: { cabinKg: 14, checkedKg: 35 }, refundable: false, changeable: true, changeFee: 2000, cancellationFee: 5000 },
+    { code: 'flex', name: 'Business Flex', multiplier: 3.5, baggage: { cabinKg: 14, checkedKg: 40 }, refundable: true, changeable: true, changeFee: 0, cancellationFee: 0 }
+  ]
+};
+
+const buildFares = (price, aircraft) => {
+  const cabinClasses = [...new Set(aircraft.cabins.map(cabin => cabin.cabinClass))];
+
+  return cabinClasses.flatMap(cabinClass =>
+    fareTemplates[cabinClass].map(({ multiplier, ...fare }) => ({
+      ...fare,
+      cabinClass,
+      price: Math.round(price * multiplier)
+    }))
+  );
+};
+
+// Replaces aircraft, schedules and flights with the sample data above and
+// generates the schedules' flights. Expects an open connection; the tests
+// seed their in-memory database with it too.
+const seedData = async ({ from = new Date(), days } = {}) => {
+  await Flight.deleteMany({});
+  await FlightSchedule.deleteMany({});
+  await Aircraft.deleteMany({});
+
+  const aircraft = await Aircraft.insertMany(aircraftData);
+  const aircraftByCode = new Map(aircraft.map(a => [a.code, a]));
+
+  const validFrom = startOfUtcDay(from);
+  await FlightSchedule.create(scheduleData.map(({ price, ...schedule }) => ({
+    ...schedule,
+    validFrom,
+    aircraft: aircraftByCode.get(schedule.aircraft)._id,
+    fares: buildFares(price, aircraftByCode.get(schedule.aircraft))
+  })));
+
+  return generateAllFlights({ from, days });
+};
+
 const seedFlights = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI, {
@@ -146,11 +220,9 @@ const seedFlights = async () => {
 
     console.log('MongoDB Connected');
 
-    await Flight.deleteMany({});
-    console.log('Cleared existing flights');
-
-    await Flight.insertMany(flightData);
-    console.log('Flight data seeded successfully');
+    const summary = await seedData();
+    console.log(`Seeded ${aircraftData.length} aircraft and ${scheduleData.length} schedules`);
+    console.log(`Generated ${summary.created} flights from ${summary.schedules} schedules`);
 
     process.exit(0);
   } catch (error) {
@@ -159,4 +231,13 @@ const seedFlights = async () => {
   }
 };
 
-seedFlights();
\ No newline at end of file
+if (require.main === module) {
+  seedFlights();
+}
+
+module.exports = {
+  aircraftData,
+  scheduleData,
+  buildFares,
+  seedData
+};
@@ -1,26 +1,16 @@
-const express = require('express');
 const dotenv = require('dotenv');
-const cors = require('cors');
-const connectDB = require('./config/db');
 
+// Loaded before the app so settings read while it is built (TRUST_PROXY,
+// NODE_ENV) come from .env
 dotenv.config();
 
-connectDB();
-
-const app = express();
-
-app.use(express.json());
-app.use(cors());
-
-app.use('/api/auth', require('./routes/auth'));
-app.use('/api/flights', require('./routes/flights'));
-app.use('/api/bookings', require('./routes/bookings'));
+const connectDB = require('./config/db');
+const app = require('./app');
+const logger = require('./utils/logger');
 
-app.get('/', (req, res) => {
-  res.send('🚀 Flight Booking API is running...');
-});
+connectDB();
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+  logger.info('Server started', { env: process.env.NODE_ENV || 'development', port: Number(PORT) });
 });
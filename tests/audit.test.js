@@ -0,0 +1,142 @@
+const AuditLog = require('../models/AuditLog');
+const FlightSchedule = require('../models/FlightSchedule');
+const {
+  app,
+  request,
+  seedFlights,
+  createUser,
+  bearer,
+  futureFlight,
+  book
+} = require('./helpers');
+
+let flight;
+let admin;
+
+const history = (token, bookingId) => {
+  return request(app).get(`/api/bookings/${bookingId}/audit`).set(bearer(token));
+};
+
+beforeAll(async () => {
+  await seedFlights();
+  flight = await futureFlight();
+  admin = await createUser({ role: 'admin' });
+});
+
+describe('request IDs', () => {
+  it('generates an X-Request-Id when the caller sends none', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('keeps a well-formed incoming X-Request-Id and replaces a malformed one', async () => {
+    const kept = await request(app).get('/').set('X-Request-Id', 'edge-7f3a.42');
+    const replaced = await request(app).get('/').set('X-Request-Id', 'not a valid id');
+
+    expect(kept.headers['x-request-id']).toBe('edge-7f3a.42');
+    expect(replaced.headers['x-request-id']).not.toBe('not a valid id');
+  });
+});
+
+describe('GET /api/bookings/:id/audit', () => {
+  it('records who created and cancelled a booking with the state before and after', async () => {
+    const { user, token } = await createUser();
+    const created = await book(token, flight._id, ['30A']);
+    const bookingId = created.body.data._id;
+
+    await request(app)
+      .put(`/api/bookings/${bookingId}/cancel`)
+      .set(bearer(token))
+      .set('X-Request-Id', 'cancel-req-1');
+
+    const res = await history(admin.token, bookingId);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.action)).toEqual(['created', 'cancelled']);
+
+    const [creation, cancellation] = res.body.data;
+    expect(creation.before).toBeNull();
+    expect(creation.after).toMatchObject({ bookingStatus: 'pending', totalSeats: 1 });
+    expect(cancellation.actor).toEqual({ role: 'user', user: user._id.toString(), email: user.email });
+    expect(cancellation.requestId).toBe('cancel-req-1');
+    expect(cancellation.before.bookingStatus).toBe('pending');
+    expect(cancellation.after.bookingStatus).toBe('cancelled');
+  });
+
+  it('records the payment confirmation', async () => {
+    const { token } = await createUser();
+    const created = await book(token, flight._id, ['30B']);
+
+    await request(app)
+      .post(`/api/payments/mock/${created.body.payment.intentId}/succeeded`)
+      .set(bearer(token));
+
+    const res = await history(admin.token, created.body.data._id);
+    const confirmation = res.body.data.find(entry => entry.action === 'payment_confirmed');
+
+    expect(confirmation.before.bookingStatus).toBe('pending');
+    expect(confirmation.after.bookingStatus).toBe('confirmed');
+  });
+
+  it('records bookings cancelled by a flight cancellation under the admin who cancelled it', async () => {
+    const other = await futureFlight({ _id: { $ne: flight._id } });
+    const { token } = await createUser();
+    const created = await book(token, other._id, ['29A']);
+
+    await request(app)
+      .put(`/api/flights/${other._id}/cancel`)
+      .set(bearer(admin.token))
+      .send({ reason: 'Weather' });
+
+    const entries = await AuditLog.find({
+      entity: { $in: [other._id, created.body.data._id] },
+      action: 'cancelled'
+    }).sort({ createdAt: 1, _id: 1 });
+
+    expect(entries.map(entry => [entry.entityType, entry.action])).toEqual([
+      ['Flight', 'cancelled'],
+      ['Booking', 'cancelled']
+    ]);
+    expect(entries.every(entry => entry.actor.role === 'admin')).toBe(true);
+    expect(entries[1].metadata).toMatchObject({ cause: 'flight_cancelled' });
+  });
+
+  it('is only available to admins', async () => {
+    const { token } = await createUser();
+    const created = await book(token, flight._id, ['29B']);
+
+    const res = await history(token, created.body.data._id);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('returns 404 for an unknown booking', async () => {
+    const res = await history(admin.token, '507f1f77bcf86cd799439011');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('flights generated from schedules', () => {
+  it('records each one as created under the admin who generated it', async () => {
+    const schedule = await FlightSchedule.findOne({ active: true });
+
+    const res = await request(app)
+      .post(`/api/schedules/${schedule._id}/generate`)
+      .set(bearer(admin.token))
+      .send({ days: 28 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.created).toBeGreaterThan(0);
+
+    const entries = await AuditLog.find({
+      entityType: 'Flight',
+      action: 'created',
+      'metadata.schedule': schedule._id,
+      'actor.role': 'admin'
+    });
+    expect(entries).toHaveLength(res.body.data.created);
+    expect(entries[0].after.flightNumber).toBe(schedule.flightNumber);
+  });
+});
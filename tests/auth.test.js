@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const limits = require('../config/rateLimits');
+const {
+  app,
+  request,
+  lastMailTo,
+  tokenFromMail,
+  createUser,
+  bearer,
+  passenger
+} = require('./helpers');
+
+const register = (overrides = {}) => {
+  return request(app)
+    .post('/api/auth/register')
+    .send({
+      name: 'Ravi Kumar',
+      email: 'ravi@example.com',
+      password: 'secret123',
+      phone: '9876543210',
+      ...overrides
+    });
+};
+
+describe('POST /api/auth/register', () => {
+  it('creates an unverified account, signs it in and sends a verification email', async () => {
+    const res = await register();
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.user).toMatchObject({ email: 'ravi@example.com', role: 'user', emailVerified: false });
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+    expect(lastMailTo('ravi@example.com').subject).toBe('Verify your email address');
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await register({ email: 'taken@example.com' });
+    const res = await register({ email: 'taken@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('EMAIL_TAKEN');
+  });
+
+  it('reports every invalid field', async () => {
+    const res = await register({ email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors.map(error => error.path)).toEqual(expect.arrayContaining(['email', 'password']));
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns tokens for the right password', async () => {
+    const { user, password } = await createUser();
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(user._id.toString());
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  it('rejects a wrong password without saying which part was wrong', async () => {
+    const { user } = await createUser();
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('rejects an unknown email the same way', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('locks registered and unknown addresses alike after repeated failures', async () => {
+    const { user } = await createUser();
+
+    for (const email of [user.email, 'stranger@example.com']) {
+      const attempts = [];
+      for (let i = 0; i < 5; i += 1) {
+        attempts.push(await request(app).post('/api/auth/login').send({ email, password: 'wrong-password' }));
+      }
+
+      expect(attempts.slice(0, 4).map(res => res.status)).toEqual([401, 401, 401, 401]);
+      expect(attempts[4].status).toBe(423);
+      expect(attempts[4].body.code).toBe('ACCOUNT_LOCKED');
+      expect(Number(attempts[4].headers['retry-after'])).toBeGreaterThan(0);
+    }
+  });
+
+  it('keeps a locked account locked even for the right password', async () => {
+    const { user, password } = await createUser();
+    for (let i = 0; i < 5; i += 1) {
+      await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    }
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password });
+
+    expect(res.status).toBe(423);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('returns the signed-in user', async () => {
+    const { user, token } = await createUser();
+
+    const res = await request(app).get('/api/auth/me').set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ id: user._id.toString(), email: user.email });
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+
+  it('rejects a malformed token', async () => {
+    const res = await request(app).get('/api/auth/me').set(bearer('not.a.jwt'));
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+});
+
+describe('sessions', () => {
+  it('rotates refresh tokens and revokes the session when an old one is reused', async () => {
+    const { refreshToken } = await createUser();
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+
+    const next = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.data.refreshToken });
+    expect(next.status).toBe(401);
+  });
+
+  it('stops accepting the access token after logout', async () => {
+    const { token, refreshToken } = await createUser();
+
+    const logout = await request(app).post('/api/auth/logout').send({ refreshToken });
+    expect(logout.status).toBe(200);
+
+    const res = await request(app).get('/api/auth/me').set(bearer(token));
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('TOKEN_REVOKED');
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  it('verifies the address with the emailed token, once', async () => {
+    await register({ email: 'verify@example.com' });
+    const token = tokenFromMail(lastMailTo('verify@example.com'));
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.emailVerified).toBe(true);
+
+    const again = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(again.status).toBe(400);
+  });
+});
+
+describe('password reset', () => {
+  const requestReset = async (email) => {
+    await request(app).post('/api/auth/forgot-password').send({ email });
+    return tokenFromMail(lastMailTo(email));
+  };
+
+  const resetPassword = (token, password = 'new-secret123') => {
+    return request(app).post('/api/auth/reset-password').send({ token, password });
+  };
+
+  it('sets the new password once and signs out every session', async () => {
+    const { user, password, token, refreshToken } = await createUser();
+    const resetToken = await requestReset(user.email);
+
+    const res = await resetPassword(resetToken);
+    expect(res.status).toBe(200);
+
+    const again = await resetPassword(resetToken, 'another-secret');
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('INVALID_TOKEN');
+
+    expect((await request(app).post('/api/auth/login').send({ email: user.email, password: 'new-secret123' })).status).toBe(200);
+    expect((await request(app).post('/api/auth/login').send({ email: user.email, password })).status).toBe(401);
+
+    const me = await request(app).get('/api/auth/me').set(bearer(token));
+    expect(me.status).toBe(401);
+    expect(me.body.code).toBe('TOKEN_REVOKED');
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+  });
+
+  it('rejects an expired reset link and keeps the old password', async () => {
+    const { user, password } = await createUser();
+    const resetToken = await requestReset(user.email);
+    await User.updateOne({ _id: user._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+    const res = await resetPassword(resetToken);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+    expect((await request(app).post('/api/auth/login').send({ email: user.email, password })).status).toBe(200);
+  });
+
+  it('answers the same whether or not the account exists', async () => {
+    const { user } = await createUser();
+
+    const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(lastMailTo('nobody@example.com')).toBeUndefined();
+  });
+});
+
+describe('rate limiting', () => {
+  it('answers 429 with Retry-After and RateLimit headers once the limit is spent', async () => {
+    const { user } = await createUser();
+    const { max } = limits.accountEmails;
+
+    const responses = [];
+    for (let i = 0; i <= max; i += 1) {
+      responses.push(await request(app).post('/api/auth/forgot-password').send({ email: user.email }));
+    }
+
+    expect(responses[max - 1].status).toBe(200);
+    expect(responses[max - 1].headers['ratelimit-remaining']).toBe('0');
+    const limited = responses[max];
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('RATE_LIMITED');
+    expect(limited.headers['ratelimit-limit']).toBe(String(max));
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['ratelimit-reset'])).toBeGreaterThan(0);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('limits bookings per user rather than per address', async () => {
+    const { token } = await createUser();
+    const other = await createUser();
+    const { max } = limits.bookings;
+    // Attempts count even when the flight does not exist
+    const attempt = (userToken) => {
+      return request(app)
+        .post('/api/bookings')
+        .set(bearer(userToken))
+        .send({ flightId: new mongoose.Types.ObjectId().toString(), passengers: [passenger('8A')] });
+    };
+
+    for (let i = 0; i < max; i += 1) {
+      expect((await attempt(token)).status).toBe(404);
+    }
+
+    const limited = await attempt(token);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect((await attempt(other.token)).status).toBe(404);
+  });
+});
@@ -0,0 +1,706 @@
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const Flight = require('../models/Flight');
+const {
+  app,
+  request,
+  seedFlights,
+  createUser,
+  bearer,
+  futureFlight,
+  passenger,
+  book
+} = require('./helpers');
+
+let flight;
+
+const bookedSeats = async (token) => {
+  const res = await request(app).get(`/api/flights/${flight._id}/booked-seats`).set(bearer(token));
+  return res.body.data;
+};
+
+const pay = (token, booking) => {
+  return request(app)
+    .post(`/api/payments/mock/${booking.payment.intentId}/succeeded`)
+    .set(bearer(token));
+};
+
+const cancel = (token, bookingId) => {
+  return request(app).put(`/api/bookings/${bookingId}/cancel`).set(bearer(token));
+};
+
+const confirmedBooking = async (token, seats, options) => {
+  const created = await book(token, flight._id, [].concat(seats), options);
+  await pay(token, created.body);
+  return created.body.data;
+};
+
+// A flight back from the destination three days later, modelled on a flight of the given airline
+const returnFlight = async (airlineCode) => {
+  const template = await futureFlight({ airlineCode });
+  const { _id, schedule, bookedSeats: taken, seatHolds, ...fields } = template.toObject({ virtuals: false });
+  const departure = new Date(flight.arrival.getTime() + 3 * 24 * 60 * 60 * 1000);
+  return Flight.create({
+    ...fields,
+    origin: flight.destination,
+    destination: flight.origin,
+    departure,
+    arrival: new Date(departure.getTime() + template.durationMinutes * 60 * 1000)
+  });
+};
+
+beforeAll(async () => {
+  await seedFlights();
+  // Cancellation fees below assume the default policy; SpiceJet has its own
+  flight = await futureFlight({ airlineCode: { $ne: 'SG' } });
+});
+
+describe('POST /api/bookings', () => {
+  it('reserves the seats and leaves the booking pending until payment', async () => {
+    const { token } = await createUser();
+    const before = await Flight.findById(flight._id);
+
+    const res = await book(token, flight._id, ['20A', '20B']);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ bookingStatus: 'pending', paymentStatus: 'pending', totalSeats: 2 });
+    expect(res.body.data.passengers.map(p => p.seatNumber)).toEqual(['20A', '20B']);
+    expect(res.body.data.totalAmount).toBe(res.body.data.fareTotal + res.body.data.taxTotal);
+    expect(res.body.payment).toMatchObject({ status: 'requires_payment', amount: res.body.data.totalAmount });
+
+    const after = await Flight.findById(flight._id);
+    expect(after.availableSeats).toBe(before.availableSeats - 2);
+    expect(after.bookedSeats).toEqual(expect.arrayContaining(['20A', '20B']));
+  });
+
+  it('refuses seats that are already booked and names them', async () => {
+    const first = await createUser();
+    const second = await createUser();
+    await book(first.token, flight._id, ['21A']);
+
+    const res = await book(second.token, flight._id, ['21A', '21B']);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SEAT_CONFLICT');
+    expect(res.body.details.conflictingSeats).toEqual(['21A']);
+    expect(await Booking.countDocuments({ user: second.user._id })).toBe(0);
+  });
+
+  it('refuses seats that are not on the aircraft', async () => {
+    const { token } = await createUser();
+
+    const res = await book(token, flight._id, ['99Z']);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_SEAT');
+    expect(res.body.details.invalidSeats).toEqual(['99Z']);
+  });
+
+  it('refuses the same seat twice in one booking', async () => {
+    const { token } = await createUser();
+
+    const res = await book(token, flight._id, ['22A', '22A']);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('validates passengers against the spec', async () => {
+    const { token } = await createUser();
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set(bearer(token))
+      .send({ flightId: flight._id, passengers: [passenger('22B', { age: 'thirty' })] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors).toContainEqual({ path: 'passengers[0].age', msg: 'must be integer' });
+  });
+
+  it('requires a verified email address', async () => {
+    const { token } = await createUser({ verified: false });
+
+    const res = await book(token, flight._id, ['22C']);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  it('turns a seat hold into a booking and removes the hold', async () => {
+    const { token } = await createUser();
+    const hold = await request(app).post(`/api/flights/${flight._id}/holds`).set(bearer(token)).send({ seats: ['21E'] });
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set(bearer(token))
+      .send({ flightId: flight._id, holdId: hold.body.data.holdId, passengers: [passenger('21E')] });
+
+    expect(res.status).toBe(201);
+    const { seatHolds } = await Flight.findById(flight._id).select('+seatHolds');
+    expect(seatHolds.map(h => h._id.toString())).not.toContain(hold.body.data.holdId);
+  });
+
+  it('books seats the caller holds without naming the hold', async () => {
+    const { token } = await createUser();
+    const other = await createUser();
+    await request(app).post(`/api/flights/${flight._id}/holds`).set(bearer(token)).send({ seats: ['21F'] });
+
+    const theirs = await book(other.token, flight._id, ['21F']);
+    const res = await book(token, flight._id, ['21F']);
+
+    expect(theirs.status).toBe(409);
+    expect(res.status).toBe(201);
+    const { seatHolds } = await Flight.findById(flight._id).select('+seatHolds');
+    expect(seatHolds.flatMap(h => h.seats)).not.toContain('21F');
+  });
+
+  it('still reports an expired quote when its fare is no longer offered', async () => {
+    const { user, token } = await createUser();
+    const quote = {
+      flightId: flight._id.toString(),
+      cabinClass: 'economy',
+      fareCode: 'withdrawn',
+      passengers: 1,
+      total: 4000
+    };
+    const quoteToken = jwt.sign(
+      { typ: 'quote', quote, exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET,
+      { subject: user._id.toString(), jwtid: 'expired-quote' }
+    );
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set(bearer(token))
+      .send({ flightId: flight._id, quoteToken, passengers: [passenger('22D')] });
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('INVALID_QUOTE');
+    expect(res.body.details).toBeUndefined();
+  });
+
+  it('honours a valid quote whose fare has since been withdrawn', async () => {
+    const { token } = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    // A flight of its own, since its fares change
+    const quoted = await futureFlight({ _id: { $ne: flight._id }, origin: { $ne: flight.origin } });
+    const offered = await request(app)
+      .post(`/api/flights/${quoted._id}/quote`)
+      .set(bearer(token))
+      .send({ passengers: 1, cabinClass: 'economy', fareCode: 'flex' });
+    expect(offered.status).toBe(201);
+
+    const withdrawn = await request(app)
+      .put(`/api/flights/${quoted._id}`)
+      .set(bearer(admin.token))
+      .send({ fares: quoted.fares.filter(fare => fare.code !== 'flex').map(({ cabinClass, code, price }) => ({ cabinClass, code, price })) });
+    expect(withdrawn.status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/bookings')
+      .set(bearer(token))
+      .send({ flightId: quoted._id, quoteToken: offered.body.data.quoteToken, passengers: [passenger('22E')] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.totalAmount).toBe(offered.body.data.total);
+    expect(res.body.data.passengers[0].fareCode).toBe('flex');
+    expect(res.body.priceChange).toBeUndefined();
+  });
+});
+
+describe('POST /api/bookings/itinerary', () => {
+  it('releases the legs already reserved when a later leg is taken', async () => {
+    const { user, token } = await createUser();
+    const other = await createUser();
+    const inbound = await returnFlight(flight.airlineCode);
+    await book(other.token, inbound._id, ['30A']);
+
+    const res = await request(app).post('/api/bookings/itinerary').set(bearer(token)).send({
+      tripType: 'round_trip',
+      segments: [
+        { journey: 0, flightId: flight._id, seatNumbers: ['30A'] },
+        { journey: 1, flightId: inbound._id, seatNumbers: ['30A'] }
+      ],
+      passengers: [{ firstName: 'Asha', lastName: 'Rao', age: 32, gender: 'Female' }]
+    });
+
+    expect(res.status).toBe(409);
+    expect((await bookedSeats(token)).bookedSeats).not.toContain('30A');
+    expect(await Booking.exists({ user: user._id })).toBeNull();
+  });
+});
+
+describe('GET /api/flights/:id/booked-seats', () => {
+  it('lists booked seats once each', async () => {
+    const { token } = await createUser();
+    await book(token, flight._id, ['23A', '23B']);
+
+    const data = await bookedSeats(token);
+
+    expect(data.bookedSeats).toEqual(expect.arrayContaining(['23A', '23B']));
+    expect(new Set(data.bookedSeats).size).toBe(data.bookedSeats.length);
+    expect(data.totalBooked).toBe(data.bookedSeats.length);
+  });
+
+  it('separates the caller\'s seat holds from everyone else\'s', async () => {
+    const mine = await createUser();
+    const theirs = await createUser();
+
+    await request(app).post(`/api/flights/${flight._id}/holds`).set(bearer(mine.token)).send({ seats: ['24A'] });
+    await request(app).post(`/api/flights/${flight._id}/holds`).set(bearer(theirs.token)).send({ seats: ['24B'] });
+
+    const data = await bookedSeats(mine.token);
+
+    expect(data.myHeldSeats).toEqual(['24A']);
+    expect(data.heldSeats).toEqual(['24B']);
+  });
+});
+
+describe('PUT /api/bookings/:id/cancel', () => {
+  it('cancels an unpaid booking and releases its seats', async () => {
+    const { token } = await createUser();
+    const created = await book(token, flight._id, ['25A']);
+    const before = await Flight.findById(flight._id);
+
+    const res = await cancel(token, created.body.data._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ bookingStatus: 'cancelled', paymentStatus: 'failed' });
+    expect(res.body.refund).toMatchObject({ amount: 0, status: 'not_applicable' });
+
+    const after = await Flight.findById(flight._id);
+    expect(after.availableSeats).toBe(before.availableSeats + 1);
+    expect((await bookedSeats(token)).bookedSeats).not.toContain('25A');
+  });
+
+  it('refunds a paid flexible fare minus its cancellation fee', async () => {
+    const { token } = await createUser();
+    const created = await book(token, flight._id, ['26A'], { fareCode: 'flex' });
+    const paid = await pay(token, created.body);
+    expect(paid.body.data.bookingStatus).toBe('confirmed');
+
+    const res = await cancel(token, created.body.data._id);
+
+    const [traveller] = created.body.data.passengers;
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toMatchObject({
+      fee: 500,
+      amount: traveller.price - 500 + traveller.taxAmount,
+      status: 'succeeded'
+    });
+    expect(res.body.data.paymentStatus).toBe('partially_refunded');
+  });
+
+  it('refunds each leg of a round trip under its own flight\'s policy', async () => {
+    const { token } = await createUser();
+    // A return leg on SpiceJet, whose policy charges 10% where the default charges nothing
+    const inbound = await returnFlight('SG');
+
+    const created = await request(app).post('/api/bookings/itinerary').set(bearer(token)).send({
+      tripType: 'round_trip',
+      segments: [
+        { journey: 0, flightId: flight._id, seatNumbers: ['29A'] },
+        { journey: 1, flightId: inbound._id, seatNumbers: ['29A'] }
+      ],
+      passengers: [{ firstName: 'Asha', lastName: 'Rao', age: 32, gender: 'Female', fareCode: 'flex' }]
+    });
+    await pay(token, created.body);
+
+    const res = await cancel(token, created.body.data._id);
+
+    const [outboundFare, inboundFare] = created.body.data.segments.map(segment => segment.passengers[0]);
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toMatchObject({
+      feePercent: 10,
+      fee: 500 + Math.max(500, Math.round(inboundFare.price * 0.1)),
+      fareRefund: outboundFare.price - 500 + inboundFare.price - Math.max(500, Math.round(inboundFare.price * 0.1))
+    });
+  });
+
+  it('does not cancel the same booking twice', async () => {
+    const { token } = await createUser();
+    const created = await book(token, flight._id, ['27A']);
+    await cancel(token, created.body.data._id);
+
+    const res = await cancel(token, created.body.data._id);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('does not let other users cancel a booking', async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const created = await book(owner.token, flight._id, ['28A']);
+
+    const res = await cancel(other.token, created.body.data._id);
+
+    expect(res.status).toBe(403);
+    expect((await Booking.findById(created.body.data._id)).bookingStatus).toBe('pending');
+  });
+});
+
+describe('PUT /api/bookings/:id/passengers/cancel', () => {
+  const cancelPassengers = (token, booking, passengers) => {
+    return request(app)
+      .put(`/api/bookings/${booking._id}/passengers/cancel`)
+      .set(bearer(token))
+      .send({ passengerIds: passengers.map(p => p._id) });
+  };
+
+  it('releases the seat and refunds only the cancelled passenger', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['8A', '8B'], { fareCode: 'flex' });
+    const [leaving, staying] = booking.passengers;
+    const before = await Flight.findById(flight._id);
+
+    const res = await cancelPassengers(token, booking, [leaving]);
+
+    const refundAmount = leaving.price - 500 + leaving.taxAmount;
+    expect(res.status).toBe(200);
+    expect(res.body.data.passengers.map(p => p.seatNumber)).toEqual(['8B']);
+    expect(res.body.data).toMatchObject({
+      totalSeats: 1,
+      fareTotal: staying.price,
+      totalAmount: staying.price + staying.taxAmount,
+      paymentStatus: 'partially_refunded'
+    });
+    expect(res.body.data.cancelledPassengers).toEqual([
+      expect.objectContaining({ _id: leaving._id, seatNumber: '8A', refundAmount })
+    ]);
+    expect(res.body.refund).toMatchObject({
+      amount: refundAmount,
+      fee: 500,
+      status: 'succeeded',
+      passengers: [expect.objectContaining({ passenger: leaving._id, amount: refundAmount })]
+    });
+
+    const after = await Flight.findById(flight._id);
+    expect(after.availableSeats).toBe(before.availableSeats + 1);
+    expect(after.bookedSeats).not.toContain('8A');
+    expect(after.bookedSeats).toContain('8B');
+  });
+
+  it('refuses to cancel every passenger this way', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['8C']);
+
+    const res = await cancelPassengers(token, booking, booking.passengers);
+
+    expect(res.status).toBe(400);
+    expect((await Booking.findById(booking._id)).passengers).toHaveLength(1);
+  });
+
+  it('does not write over a change made after the booking was read', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['9A', '9B', '9C']);
+    const stale = await Booking.findById(booking._id);
+    await cancelPassengers(token, booking, [booking.passengers[0]]);
+
+    // The second request works from the booking as it was before the first
+    const read = jest.spyOn(Booking, 'findById').mockResolvedValueOnce(stale);
+    let res;
+    try {
+      res = await cancelPassengers(token, booking, [booking.passengers[1]]);
+    } finally {
+      read.mockRestore();
+    }
+
+    expect(res.status).toBe(409);
+    const after = await Booking.findById(booking._id);
+    expect(after.passengers.map(p => p.seatNumber)).toEqual(['9B', '9C']);
+    expect(after.cancelledPassengers.map(p => p.seatNumber)).toEqual(['9A']);
+    expect((await Flight.findById(flight._id)).bookedSeats).toEqual(expect.arrayContaining(['9B', '9C']));
+  });
+});
+
+describe('PATCH /api/bookings/:id/flight', () => {
+  let target;
+
+  const businessSeats = async (token, count, to = target) => {
+    const res = await request(app).get(`/api/flights/${to._id}/seat-map`).set(bearer(token));
+    return res.body.data.rows
+      .filter(row => row.cabinClass === 'business')
+      .flatMap(row => row.seats)
+      .filter(seat => seat.status === 'available')
+      .slice(0, count)
+      .map(seat => seat.seatNumber);
+  };
+
+  const businessSeat = async (token, to = target) => (await businessSeats(token, 1, to))[0];
+
+  const move = (token, booking, seatNumbers, to = target) => {
+    return request(app)
+      .patch(`/api/bookings/${booking._id}/flight`)
+      .set(bearer(token))
+      .send({
+        flightId: to._id,
+        seats: [].concat(seatNumbers).map((seatNumber, idx) => ({ passengerId: booking.passengers[idx]._id, seatNumber }))
+      });
+  };
+
+  beforeAll(async () => {
+    target = await futureFlight({
+      origin: flight.origin,
+      destination: flight.destination,
+      _id: { $ne: flight._id },
+      'fares.cabinClass': 'business'
+    });
+  });
+
+  it('moves the booking only once the fare difference is paid', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '14A');
+    const seat = await businessSeat(token);
+
+    const res = await move(token, booking, seat);
+
+    expect(res.status).toBe(202);
+    expect(res.body.amountDue).toBeGreaterThan(0);
+    expect(res.body.data.flight).toBe(flight._id.toString());
+    expect((await Flight.findById(target._id)).bookedSeats).toContain(seat);
+
+    const paid = await pay(token, res.body);
+
+    expect(paid.body.outcome).toBe('change_paid');
+    expect(paid.body.data.flight).toBe(target._id.toString());
+    expect(paid.body.data.passengers[0].seatNumber).toBe(seat);
+    expect(paid.body.data.payment.amount).toBe(booking.totalAmount);
+    expect(paid.body.data.modifications[0].payment).toMatchObject({
+      intentId: res.body.payment.intentId,
+      amount: res.body.amountDue,
+      status: 'paid'
+    });
+    expect((await Flight.findById(flight._id)).bookedSeats).not.toContain('14A');
+  });
+
+  it('keeps the booking on its flight and frees the new seat when the payment fails', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '15A');
+    const seat = await businessSeat(token);
+    const res = await move(token, booking, seat);
+
+    const failed = await request(app)
+      .post(`/api/payments/mock/${res.body.payment.intentId}/failed`)
+      .set(bearer(token));
+
+    expect(failed.body.outcome).toBe('change_failed');
+    const after = await Booking.findById(booking._id);
+    expect(after.flight.toString()).toBe(flight._id.toString());
+    expect(after.passengers[0]).toMatchObject({ seatNumber: '15A', price: booking.passengers[0].price });
+    expect(after.payment.amount).toBe(booking.totalAmount);
+    expect((await Flight.findById(target._id)).bookedSeats).not.toContain(seat);
+    expect((await Flight.findById(flight._id)).bookedSeats).toContain('15A');
+  });
+
+  it('refunds a change payment that arrives after the booking was cancelled', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '16A');
+    const seat = await businessSeat(token);
+    const res = await move(token, booking, seat);
+    await cancel(token, booking._id);
+
+    const paid = await pay(token, res.body);
+
+    expect(paid.body.outcome).toBe('change_refunded');
+    expect(paid.body.data.bookingStatus).toBe('cancelled');
+    expect((await Flight.findById(target._id)).bookedSeats).not.toContain(seat);
+  });
+
+  it('refuses a seat that is taken without leaving a payment behind', async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const booking = await confirmedBooking(owner.token, '17A');
+    const seat = await businessSeat(owner.token);
+    await book(other.token, target._id, [seat]);
+
+    const res = await move(owner.token, booking, seat);
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SEAT_CONFLICT');
+    const after = await Booking.findById(booking._id);
+    expect(after.flight.toString()).toBe(flight._id.toString());
+    expect(after.modifications).toHaveLength(0);
+  });
+
+  it('does not cancel passengers while a flight change awaits payment', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['18A', '18B']);
+    await move(token, booking, await businessSeats(token, 2));
+
+    const res = await request(app)
+      .put(`/api/bookings/${booking._id}/passengers/cancel`)
+      .set(bearer(token))
+      .send({ passengerIds: [booking.passengers[1]._id] });
+
+    expect(res.status).toBe(400);
+    expect((await Booking.findById(booking._id)).passengers).toHaveLength(2);
+  });
+
+  it('refunds a change payment instead of restoring a passenger removed in the meantime', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['19A', '19B']);
+    const seats = await businessSeats(token, 2);
+    const res = await move(token, booking, seats);
+    // The booking lost a traveller after the change was priced
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $pull: { passengers: { _id: booking.passengers[1]._id } }, $set: { totalSeats: 1 } }
+    );
+
+    const paid = await pay(token, res.body);
+
+    expect(paid.body.outcome).toBe('change_refunded');
+    const after = await Booking.findById(booking._id);
+    expect(after.flight.toString()).toBe(flight._id.toString());
+    expect(after.passengers.map(p => p.seatNumber)).toEqual(['19A']);
+    const { bookedSeats: taken } = await Flight.findById(target._id);
+    expect(taken.filter(seat => seats.includes(seat))).toEqual([]);
+  });
+
+  it('refunds a change payment when the flight it was moving to is cancelled', async () => {
+    const { token } = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    const booking = await confirmedBooking(token, '11A');
+    const res = await move(token, booking, await businessSeat(token));
+
+    await request(app).put(`/api/flights/${target._id}/cancel`).set(bearer(admin.token)).send({});
+    const paid = await pay(token, res.body);
+
+    expect(paid.body.outcome).toBe('change_refunded');
+    const after = await Booking.findById(booking._id);
+    expect(after).toMatchObject({ bookingStatus: 'confirmed' });
+    expect(after.flight.toString()).toBe(flight._id.toString());
+    expect(after.modifications[0].payment.status).toBe('refunded');
+  });
+
+  it('splits a later refund across the original and change payments', async () => {
+    const { token } = await createUser();
+    const admin = await createUser({ role: 'admin' });
+    // The target above has been cancelled by now
+    const other = await futureFlight({
+      origin: flight.origin,
+      destination: flight.destination,
+      _id: { $nin: [flight._id, target._id] },
+      'fares.cabinClass': 'business'
+    });
+    const booking = await confirmedBooking(token, '10A');
+    const res = await move(token, booking, await businessSeat(token, other), other);
+    await pay(token, res.body);
+
+    await request(app).put(`/api/flights/${other._id}/cancel`).set(bearer(admin.token)).send({});
+
+    const after = await Booking.findById(booking._id);
+    const [refund] = after.refunds;
+    expect(refund.amount).toBe(after.totalAmount);
+    expect(refund.allocations.map(a => a.toObject())).toEqual([
+      expect.objectContaining({ intentId: res.body.payment.intentId, amount: res.body.amountDue, status: 'succeeded' }),
+      expect.objectContaining({ intentId: booking.payment.intentId, amount: refund.amount - res.body.amountDue, status: 'succeeded' })
+    ]);
+  });
+});
+
+describe('PATCH /api/bookings/:id/seats', () => {
+  const changeSeat = (token, booking, seatNumber) => {
+    return request(app)
+      .patch(`/api/bookings/${booking._id}/seats`)
+      .set(bearer(token))
+      .send({ seats: [{ passengerId: booking.passengers[0]._id, seatNumber }] });
+  };
+
+  it('moves a passenger to a free seat on the same flight', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '15E');
+
+    const res = await changeSeat(token, booking, '15F');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.passengers[0].seatNumber).toBe('15F');
+    expect(res.body.data.modifications).toEqual([
+      expect.objectContaining({ type: 'seat_change', changes: [expect.objectContaining({ from: '15E', to: '15F' })] })
+    ]);
+    const { bookedSeats: taken } = await Flight.findById(flight._id);
+    expect(taken).toContain('15F');
+    expect(taken).not.toContain('15E');
+  });
+
+  it('refuses a seat another booking has taken', async () => {
+    const { token } = await createUser();
+    const other = await createUser();
+    const booking = await confirmedBooking(token, '16E');
+    await book(other.token, flight._id, ['16F']);
+
+    const res = await changeSeat(token, booking, '16F');
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('SEAT_CONFLICT');
+    expect((await Booking.findById(booking._id)).passengers[0].seatNumber).toBe('16E');
+  });
+
+  it('hands the new seat back when the booking changed after it was read', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, ['17E', '17F']);
+    const stale = await Booking.findById(booking._id);
+    await request(app)
+      .put(`/api/bookings/${booking._id}/passengers/cancel`)
+      .set(bearer(token))
+      .send({ passengerIds: [booking.passengers[1]._id] });
+
+    const read = jest.spyOn(Booking, 'findById').mockResolvedValueOnce(stale);
+    let res;
+    try {
+      res = await changeSeat(token, booking, '18E');
+    } finally {
+      read.mockRestore();
+    }
+
+    expect(res.status).toBe(409);
+    expect((await Booking.findById(booking._id)).passengers.map(p => p.seatNumber)).toEqual(['17E']);
+    const { bookedSeats: taken } = await Flight.findById(flight._id);
+    expect(taken).toContain('17E');
+    expect(taken).not.toContain('18E');
+  });
+});
+
+describe('PATCH /api/bookings/:id/passengers/:passengerId', () => {
+  const rename = (token, booking, name) => {
+    return request(app)
+      .patch(`/api/bookings/${booking._id}/passengers/${booking.passengers[0]._id}`)
+      .set(bearer(token))
+      .send(name);
+  };
+
+  it('corrects a misspelt name and records the correction', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '19E');
+
+    const res = await rename(token, booking, { firstName: 'Aasha' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.passengers[0]).toMatchObject({ firstName: 'Aasha', lastName: 'Rao', nameCorrections: 1 });
+    expect(res.body.data.modifications).toEqual([expect.objectContaining({ type: 'name_correction' })]);
+  });
+
+  it('refuses a change beyond the edit distance limit', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '19F');
+
+    const res = await rename(token, booking, { firstName: 'Priya' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/limited to 3 characters/);
+    expect((await Booking.findById(booking._id)).passengers[0].firstName).toBe('Asha');
+  });
+
+  it('allows only two corrections per passenger', async () => {
+    const { token } = await createUser();
+    const booking = await confirmedBooking(token, '18F');
+
+    expect((await rename(token, booking, { firstName: 'Aasha' })).status).toBe(200);
+    expect((await rename(token, booking, { lastName: 'Raoo' })).status).toBe(200);
+    const res = await rename(token, booking, { lastName: 'Rau' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/only be corrected 2 times/);
+    expect((await Booking.findById(booking._id)).passengers[0]).toMatchObject({ firstName: 'Aasha', lastName: 'Raoo' });
+  });
+});
@@ -0,0 +1,152 @@
+const Aircraft = require('../models/Aircraft');
+const Booking = require('../models/Booking');
+const Flight = require('../models/Flight');
+const {
+  app,
+  request,
+  seedFlights,
+  createUser,
+  bearer,
+  futureFlight,
+  book
+} = require('./helpers');
+
+// Fires bookings at one flight in parallel and checks that no seat is ever
+// sold twice and that the seat counters still add up afterwards.
+
+const PARALLEL = 10;
+
+const createUsers = (count) => Promise.all(Array.from({ length: count }, () => createUser()));
+
+const expectConsistentInventory = async (flightId, initial) => {
+  const flight = await Flight.findById(flightId);
+  const bookings = await Booking.find({ flight: flightId, bookingStatus: { $ne: 'cancelled' } });
+  const sold = bookings.flatMap(booking => booking.passengers.map(p => p.seatNumber));
+
+  expect(new Set(sold).size).toBe(sold.length);
+  expect([...flight.bookedSeats].sort()).toEqual([...sold].sort());
+  expect(flight.availableSeats).toBe(initial.availableSeats - sold.length);
+
+  const cabinTotal = flight.cabins.reduce((total, cabin) => total + cabin.availableSeats, 0);
+  expect(cabinTotal).toBe(flight.availableSeats);
+
+  return sold;
+};
+
+let flight;
+
+beforeEach(async () => {
+  await Booking.deleteMany({});
+  await seedFlights();
+  flight = await futureFlight();
+});
+
+it('sells a contested seat exactly once', async () => {
+  const users = await createUsers(PARALLEL);
+
+  const responses = await Promise.all(users.map(({ token }) => book(token, flight._id, ['10A'])));
+
+  const created = responses.filter(res => res.status === 201);
+  const conflicts = responses.filter(res => res.status === 409);
+  expect(created).toHaveLength(1);
+  expect(conflicts).toHaveLength(PARALLEL - 1);
+  conflicts.forEach(res => {
+    expect(res.body.code).toBe('SEAT_CONFLICT');
+    expect(res.body.details.conflictingSeats).toEqual(['10A']);
+  });
+
+  expect(await expectConsistentInventory(flight._id, flight)).toEqual(['10A']);
+});
+
+it('never splits overlapping multi-seat bookings', async () => {
+  const seats = ['11A', '11B', '11C', '11D', '11E', '11F'];
+  const users = await createUsers(seats.length);
+
+  // Each request wants a seat and its neighbour, so every pair overlaps two others
+  const responses = await Promise.all(users.map(({ token }, idx) =>
+    book(token, flight._id, [seats[idx], seats[(idx + 1) % seats.length]])
+  ));
+
+  expect(responses.every(res => [201, 409].includes(res.status))).toBe(true);
+
+  const created = responses.filter(res => res.status === 201);
+  expect(created.length).toBeGreaterThanOrEqual(1);
+
+  const sold = await expectConsistentInventory(flight._id, flight);
+  expect(sold).toHaveLength(created.length * 2);
+});
+
+it('sells the last seats of a cabin once and never drives a counter below zero', async () => {
+  const economy = flight.cabins.find(cabin => cabin.cabinClass === 'economy');
+  const spare = economy.availableSeats - 2;
+  // Shrink the economy inventory to two seats without touching the seat map
+  const scarce = await Flight.findOneAndUpdate(
+    { _id: flight._id, 'cabins.cabinClass': 'economy' },
+    { $inc: { availableSeats: -spare, 'cabins.$.availableSeats': -spare } },
+    { new: true }
+  );
+  const seats = ['14A', '14B', '14C', '14D', '14E', '14F'];
+  const users = await createUsers(seats.length);
+
+  const responses = await Promise.all(users.map(({ token }, idx) => book(token, flight._id, [seats[idx]])));
+
+  expect(responses.filter(res => res.status === 201)).toHaveLength(2);
+  expect(responses.filter(res => res.status === 409)).toHaveLength(seats.length - 2);
+
+  await expectConsistentInventory(flight._id, scarce);
+  const after = await Flight.findById(flight._id);
+  expect(after.cabins.find(cabin => cabin.cabinClass === 'economy').availableSeats).toBe(0);
+});
+
+it('lets at most one booking take a seat released by a parallel cancellation', async () => {
+  const { token } = await createUser();
+  const created = await book(token, flight._id, ['13A']);
+  const users = await createUsers(PARALLEL);
+
+  const [cancelled, ...responses] = await Promise.all([
+    request(app).put(`/api/bookings/${created.body.data._id}/cancel`).set(bearer(token)),
+    ...users.map(user => book(user.token, flight._id, ['13A']))
+  ]);
+
+  expect(cancelled.status).toBe(200);
+  expect(responses.filter(res => res.status === 201).length).toBeLessThanOrEqual(1);
+
+  const sold = await expectConsistentInventory(flight._id, flight);
+  expect(sold.filter(seat => seat === '13A').length).toBeLessThanOrEqual(1);
+});
+
+it('releases seats once when the same booking is cancelled in parallel', async () => {
+  const { token } = await createUser();
+  const created = await book(token, flight._id, ['12A', '12B']);
+  expect(created.status).toBe(201);
+
+  const responses = await Promise.all(Array.from({ length: 5 }, () =>
+    request(app).put(`/api/bookings/${created.body.data._id}/cancel`).set(bearer(token))
+  ));
+
+  expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+  expect(responses.every(res => [200, 400, 409].includes(res.status))).toBe(true);
+
+  expect(await expectConsistentInventory(flight._id, flight)).toEqual([]);
+});
+
+it('recounts seats against bookings that land during an aircraft swap', async () => {
+  const admin = await createUser({ role: 'admin' });
+  const narrowBody = await futureFlight({ airlineCode: '6E' });
+  const wideBody = await Aircraft.findOne({ 'cabins.cabinClass': 'premium' });
+  const seats = ['20A', '20B', '20C', '20D', '20E', '20F'];
+  const users = await createUsers(seats.length);
+
+  const [swap, ...responses] = await Promise.all([
+    request(app).put(`/api/flights/${narrowBody._id}`).set(bearer(admin.token)).send({ aircraft: wideBody._id }),
+    ...users.map(({ token }, idx) => book(token, narrowBody._id, [seats[idx]]))
+  ]);
+
+  expect([200, 409]).toContain(swap.status);
+  expect(responses.every(res => res.status === 201)).toBe(true);
+
+  const after = await Flight.findById(narrowBody._id).populate('aircraft');
+  expect([...after.bookedSeats].sort()).toEqual(seats);
+  expect(after.availableSeats).toBe(after.aircraft.getBookableSeats().length - seats.length);
+  expect(after.cabins.reduce((total, cabin) => total + cabin.availableSeats, 0)).toBe(after.availableSeats);
+});
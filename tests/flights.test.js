@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Flight = require('../models/Flight');
+const searchRules = require('../config/search');
+const {
+  app,
+  request,
+  seedFlights,
+  createUser,
+  bearer,
+  futureFlight,
+  book
+} = require('./helpers');
+
+// Seven seeded PNQ -> DEL schedules operate on Sundays
+const SUNDAY_FLIGHTS = 7;
+
+let token;
+let date;
+
+const search = (query) => {
+  return request(app).get('/api/flights/search').set(bearer(token)).query({
+    origin: 'PNQ',
+    destination: 'DEL',
+    date,
+    ...query
+  });
+};
+
+const prices = (res) => res.body.data.map(flight => flight.lowestFare.price);
+
+beforeAll(async () => {
+  await seedFlights();
+  ({ token } = await createUser());
+
+  const sundayFlight = await futureFlight({ airlineCode: '6E', flightNumber: 224 });
+  date = sundayFlight.departureLocal.slice(0, 10);
+});
+
+describe('GET /api/flights/search', () => {
+  it('returns every flight on the local day with direct itineraries', async () => {
+    const res = await search();
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(SUNDAY_FLIGHTS);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: SUNDAY_FLIGHTS, totalPages: 1 });
+    res.body.data.forEach(flight => {
+      expect(flight).toMatchObject({ origin: 'PNQ', destination: 'DEL' });
+      expect(flight.departureLocal.slice(0, 10)).toBe(date);
+    });
+    expect(res.body.itineraries).toHaveLength(SUNDAY_FLIGHTS);
+    expect(res.body.itineraries.every(itinerary => itinerary.stops === 0)).toBe(true);
+  });
+
+  it('accepts a city name for the origin', async () => {
+    const res = await search({ origin: 'Pune' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.searchCriteria.originAirports).toEqual(['PNQ']);
+    expect(res.body.count).toBe(SUNDAY_FLIGHTS);
+  });
+
+  it('sorts by price in both directions', async () => {
+    const ascending = prices(await search({ sortBy: 'price_asc' }));
+    const descending = prices(await search({ sortBy: 'price_desc' }));
+
+    expect(ascending).toEqual([...ascending].sort((a, b) => a - b));
+    expect(descending).toEqual([...ascending].reverse());
+  });
+
+  it('prices the cheapest base fares first and flags a capped total', async () => {
+    const all = await search({ sortBy: 'departure_asc' });
+    const cheapest = [...all.body.data]
+      .sort((a, b) => a.lowestFare.basePrice - b.lowestFare.basePrice || a._id.localeCompare(b._id))
+      .slice(0, 3)
+      .map(flight => flight._id);
+
+    const cap = searchRules.maxPricedCandidates;
+    searchRules.maxPricedCandidates = 3;
+    let res;
+    try {
+      res = await search({ sortBy: 'price_asc' });
+    } finally {
+      searchRules.maxPricedCandidates = cap;
+    }
+
+    expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: SUNDAY_FLIGHTS, totalPages: 1, truncated: true });
+    expect(res.body.data.map(flight => flight._id).sort()).toEqual(cheapest.sort());
+    expect(prices(res)).toEqual([...prices(res)].sort((a, b) => a - b));
+  });
+
+  it('sorts by departure time', async () => {
+    const res = await search({ sortBy: 'departure_asc' });
+    const departures = res.body.data.map(flight => flight.departure);
+
+    expect(departures).toEqual([...departures].sort());
+  });
+
+  it('filters by airline code', async () => {
+    const res = await search({ airline: '6E,SG' });
+
+    expect(res.body.count).toBe(4);
+    expect(res.body.data.every(flight => ['6E', 'SG'].includes(flight.airlineCode))).toBe(true);
+  });
+
+  it('filters by price range', async () => {
+    const all = prices(await search({ sortBy: 'price_asc' }));
+    const maxPrice = all[2];
+
+    const res = await search({ maxPrice });
+
+    expect(res.body.count).toBeGreaterThanOrEqual(3);
+    expect(prices(res).every(price => price <= maxPrice)).toBe(true);
+  });
+
+  it('filters by cabin class', async () => {
+    const res = await search({ cabinClass: 'business' });
+
+    expect(res.body.count).toBe(5);
+    expect(res.body.data.every(flight => flight.lowestFare.cabinClass === 'business')).toBe(true);
+  });
+
+  it('filters by local departure time', async () => {
+    const res = await search({ departureTimeFrom: '09:00', departureTimeTo: '12:00' });
+
+    expect(res.body.count).toBe(3);
+    res.body.data.forEach(flight => {
+      const time = flight.departureLocal.slice(11, 16);
+      expect(time >= '09:00' && time <= '12:00').toBe(true);
+    });
+  });
+
+  it('paginates and projects fields', async () => {
+    const res = await search({ limit: 2, page: 2, fields: 'airlineCode,lowestFare' });
+
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.pagination).toEqual({ page: 2, limit: 2, total: SUNDAY_FLIGHTS, totalPages: 4 });
+    res.body.data.forEach(flight => {
+      expect(Object.keys(flight).sort()).toEqual(['_id', 'airlineCode', 'lowestFare']);
+    });
+  });
+
+  it('pages in the database when sorting by a stored field', async () => {
+    const all = await search({ sortBy: 'departure_asc' });
+    const res = await search({ sortBy: 'departure_asc', limit: 3, page: 3 });
+
+    expect(res.body.pagination).toEqual({ page: 3, limit: 3, total: SUNDAY_FLIGHTS, totalPages: 3 });
+    expect(res.body.data.map(flight => flight._id)).toEqual(all.body.data.slice(6).map(flight => flight._id));
+  });
+
+  it('limits itineraries to the page size', async () => {
+    const res = await search({ limit: 2 });
+
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.itineraries).toHaveLength(2);
+  });
+
+  it('compares the price range numerically', async () => {
+    const res = await search({ minPrice: 50, maxPrice: 100000 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(SUNDAY_FLIGHTS);
+  });
+
+  it('accepts comma-separated lists that are not percent-encoded', async () => {
+    // Browsers and axios leave commas as they are; .query() would encode them
+    const res = await request(app)
+      .get(`/api/flights/search?origin=PNQ&destination=DEL&date=${date}&airline=6E,SG&fields=airlineCode,lowestFare`)
+      .set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(4);
+    res.body.data.forEach(flight => {
+      expect(['6E', 'SG']).toContain(flight.airlineCode);
+      expect(Object.keys(flight).sort()).toEqual(['_id', 'airlineCode', 'lowestFare']);
+    });
+  });
+
+  it('accepts times with an unencoded colon', async () => {
+    const res = await request(app)
+      .get(`/api/flights/search?origin=PNQ&destination=DEL&date=${date}&departureTimeFrom=09:00&departureTimeTo=12:00`)
+      .set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(3);
+  });
+
+  it('rejects an unknown sort option', async () => {
+    const res = await search({ sortBy: 'cheapest' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.errors[0].path).toBe('sortBy');
+  });
+
+  it('rejects a minimum price above the maximum', async () => {
+    const res = await search({ minPrice: 9000, maxPrice: 500 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('BAD_REQUEST');
+  });
+
+  it('rejects a place it does not know', async () => {
+    const res = await search({ destination: 'Atlantis' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Atlantis/);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/flights/search');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/flights/calendar', () => {
+  it('returns the lowest fare for each day around the date', async () => {
+    const res = await request(app)
+      .get('/api/flights/calendar')
+      .set(bearer(token))
+      .query({ origin: 'PNQ', destination: 'DEL', date, window: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(3);
+
+    const day = res.body.data.find(entry => entry.date === date);
+    expect(day.flightCount).toBe(SUNDAY_FLIGHTS);
+    expect(day.lowestFare).toBeGreaterThan(0);
+  });
+
+  it('agrees with the cheapest live fare in search', async () => {
+    const [calendar, results] = await Promise.all([
+      request(app).get('/api/flights/calendar').set(bearer(token)).query({ origin: 'PNQ', destination: 'DEL', date, window: 1 }),
+      search({ sortBy: 'price_asc', limit: 1 })
+    ]);
+
+    const day = calendar.body.data.find(entry => entry.date === date);
+    expect(day.lowestFare).toBe(results.body.data[0].lowestFare.price);
+  });
+});
+
+describe('GET /api/flights/:id', () => {
+  it('returns the flight with current fares', async () => {
+    const flight = await futureFlight();
+
+    const res = await request(app).get(`/api/flights/${flight._id}`).set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data._id).toBe(flight._id.toString());
+    expect(res.body.data.fares.length).toBeGreaterThan(0);
+  });
+
+  it('returns 404 for a flight that does not exist', async () => {
+    const res = await request(app).get(`/api/flights/${new mongoose.Types.ObjectId()}`).set(bearer(token));
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('FLIGHT_NOT_FOUND');
+  });
+
+  it('returns 404 for a malformed id', async () => {
+    const res = await request(app).get('/api/flights/not-an-id').set(bearer(token));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/flights/:id/seat-map', () => {
+  it('lists every seat with its status', async () => {
+    const flight = await futureFlight({ airlineCode: '6E' });
+
+    const res = await request(app).get(`/api/flights/${flight._id}/seat-map`).set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.aircraft.code).toBe('A320');
+    expect(res.body.data.summary).toMatchObject({ total: 180, blocked: 2, booked: 0, available: 178 });
+  });
+});
+
+describe('PUT /api/flights/:id/cancel', () => {
+  it('resumes a cascade that stopped before every booking was cancelled', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const flight = await futureFlight({ origin: { $ne: 'PNQ' } });
+    const created = await book(token, flight._id, ['15A']);
+
+    // As left behind by a cascade that failed after the flight was marked
+    await Flight.updateOne(
+      { _id: flight._id },
+      { status: 'cancelled', cancelledAt: new Date(), cancellationReason: 'Weather' }
+    );
+
+    const cancel = () => request(app).put(`/api/flights/${flight._id}/cancel`).set(bearer(admin.token)).send({});
+    const resumed = await cancel();
+
+    expect(resumed.status).toBe(200);
+    expect(resumed.body.summary.bookingsCancelled).toBe(1);
+    const booking = await Booking.findById(created.body.data._id);
+    expect(booking).toMatchObject({ bookingStatus: 'cancelled', cancellationReason: 'flight_cancelled' });
+
+    const again = await cancel();
+
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Flight is already cancelled');
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Flight = require('../models/Flight');
+const { registerMailTransport } = require('../mailer');
+const { issueTokens } = require('../utils/authTokens');
+const { seedData } = require('../seed/seedFlights');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const outbox = [];
+
+registerMailTransport('memory', () => ({
+  send: async (message) => {
+    outbox.push(message);
+    return { id: `mail_${outbox.length}` };
+  }
+}));
+
+const lastMailTo = (email) => {
+  return outbox.filter(message => message.to === email).pop();
+};
+
+const tokenFromMail = (message) => {
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+const seedFlights = () => seedData();
+
+let userCount = 0;
+
+// Creates the account directly (registration is rate limited per IP) and
+// signs it in; pass verified: false to test the email verification gate
+const createUser = async ({ verified = true, role = 'user', password = 'secret123' } = {}) => {
+  userCount += 1;
+  const user = await User.create({
+    name: `Test User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password,
+    phone: '9876543210',
+    role,
+    emailVerified: verified
+  });
+  const { tokens } = await issueTokens(user);
+
+  return { user, password, ...tokens };
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// The first seeded flight at least `hours` away, so cancellation windows
+// and search dates do not depend on the time of day the suite runs
+const futureFlight = (filter = {}, hours = 96) => {
+  return Flight.findOne({
+    departure: { $gt: new Date(Date.now() + hours * HOUR_MS) },
+    status: 'scheduled',
+    ...filter
+  }).sort({ departure: 1 });
+};
+
+const passenger = (seatNumber, overrides = {}) => ({
+  firstName: 'Asha',
+  lastName: 'Rao',
+  age: 32,
+  gender: 'Female',
+  seatNumber,
+  ...overrides
+});
+
+const book = (token, flightId, seats, overrides = {}) => {
+  return request(app)
+    .post('/api/bookings')
+    .set(bearer(token))
+    .send({ flightId, passengers: seats.map(seat => passenger(seat, overrides)) });
+};
+
+module.exports = {
+  app,
+  request,
+  outbox,
+  lastMailTo,
+  tokenFromMail,
+  seedFlights,
+  createUser,
+  bearer,
+  futureFlight,
+  passenger,
+  book
+};
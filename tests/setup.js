@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { getRateLimitStore } = require('../rateLimit');
+
+// Runs before every test file, ahead of the app being required
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.ENABLE_MOCK_PAYMENTS = 'true';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.SCHEDULE_WINDOW_DAYS = '14';
+
+let mongod;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+});
+
+// All supertest requests come from one IP, so counters would otherwise
+// carry over from one test into the next
+afterEach(async () => {
+  await getRateLimitStore().resetAll();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+  }
+});
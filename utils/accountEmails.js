@@ -0,0 +1,28 @@
+const { sendMail } = require('../mailer');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n` +
+      `Confirm your email address to start booking flights:\n${appUrl()}/verify-email?token=${token}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n` +
+      `Use this link to choose a new password. It can be used once.\n${appUrl()}/reset-password?token=${token}\n\n` +
+      'If you did not ask for a password reset, you can ignore this email.'
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,123 @@
+const airports = require('../data/airports.json');
+const levenshtein = require('./levenshtein');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const airportsByCode = new Map(airports.map(airport => [airport.code, airport]));
+
+const normalize = (value) => {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+const searchIndex = airports.map(airport => {
+  const cities = [airport.city, ...(airport.aliases || [])].map(normalize);
+  const name = normalize(airport.name);
+
+  return {
+    airport,
+    code: airport.code.toLowerCase(),
+    cities,
+    name,
+    words: [...new Set([...cities, name].flatMap(value => value.split(' ')))]
+  };
+});
+
+const getAirport = (code) => {
+  return code ? airportsByCode.get(code.toUpperCase()) || null : null;
+};
+
+const isKnownAirport = (code) => {
+  return Boolean(getAirport(code));
+};
+
+const airportTimezone = (code) => {
+  const airport = getAirport(code);
+  return airport ? airport.timezone : DEFAULT_TIMEZONE;
+};
+
+const maxTypos = (term) => {
+  return term.length < 4 ? 0 : term.length < 8 ? 1 : 2;
+};
+
+const scoreAirport = (entry, term) => {
+  if (entry.code === term) {
+    return 100;
+  }
+  if (entry.cities.includes(term)) {
+    return 90;
+  }
+  if (entry.cities.some(city => city.startsWith(term))) {
+    return 80;
+  }
+  if (entry.words.some(word => word.startsWith(term))) {
+    return 70;
+  }
+  if (entry.name.includes(term) || entry.cities.some(city => city.includes(term))) {
+    return 60;
+  }
+
+  const typos = maxTypos(term);
+  if (typos === 0) {
+    return 0;
+  }
+
+  const distance = Math.min(...[...entry.cities, ...entry.words]
+    .map(value => levenshtein(term, value.slice(0, term.length + typos))));
+  return distance <= typos ? 50 - distance * 10 : 0;
+};
+
+const searchAirports = (query, limit = 10) => {
+  const term = normalize(query);
+  if (!term) {
+    return [];
+  }
+
+  return searchIndex
+    .map(entry => ({ airport: entry.airport, score: scoreAirport(entry, term) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.airport.city.localeCompare(b.airport.city) || a.airport.code.localeCompare(b.airport.code))
+    .slice(0, limit)
+    .map(match => match.airport);
+};
+
+// Resolves a search location to airport codes: an exact IATA code, every
+// airport serving a city (or one of its aliases), or the closest city match.
+const resolveLocation = (value) => {
+  const term = normalize(value);
+  if (!term) {
+    return [];
+  }
+
+  const airport = getAirport(term);
+  if (airport) {
+    return [airport.code];
+  }
+
+  const cityMatches = searchIndex.filter(entry => entry.cities.includes(term));
+  if (cityMatches.length > 0) {
+    return cityMatches.map(entry => entry.airport.code);
+  }
+
+  const [best] = term.length >= 3 ? searchAirports(term, 1) : [];
+  if (!best) {
+    return [];
+  }
+
+  return airports
+    .filter(candidate => candidate.city === best.city && candidate.country === best.country)
+    .map(candidate => candidate.code);
+};
+
+module.exports = {
+  airports,
+  getAirport,
+  isKnownAirport,
+  airportTimezone,
+  searchAirports,
+  resolveLocation
+};
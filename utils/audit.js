@@ -0,0 +1,124 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+const { getContext } = require('./requestContext');
+
+const idOf = (ref) => (ref && ref._id) || ref || null;
+
+// Snapshots keep the fields a support agent needs to answer "what changed and
+// who did it" without copying payment secrets or the whole document history.
+const bookingSnapshot = (booking) => ({
+  bookingReference: booking.bookingReference,
+  bookingStatus: booking.bookingStatus,
+  paymentStatus: booking.paymentStatus,
+  cancellationReason: booking.cancellationReason || null,
+  flight: idOf(booking.flight),
+  segments: booking.segments.map(segment => ({
+    journey: segment.journey,
+    flight: idOf(segment.flight),
+    seats: segment.passengers.map(p => p.seatNumber)
+  })),
+  passengers: booking.passengers.map(p => ({
+    _id: p._id,
+    firstName: p.firstName,
+    lastName: p.lastName,
+    seatNumber: p.seatNumber,
+    cabinClass: p.cabinClass,
+    fareCode: p.fareCode,
+    price: p.price
+  })),
+  totalSeats: booking.totalSeats,
+  fareTotal: booking.fareTotal,
+  taxTotal: booking.taxTotal,
+  totalAmount: booking.totalAmount,
+  refunded: booking.refunds
+    .filter(refund => refund.status === 'succeeded' || refund.status === 'pending')
+    .reduce((total, refund) => total + refund.amount, 0)
+});
+
+const flightSnapshot = (flight) => ({
+  airline: flight.airline,
+  airlineCode: flight.airlineCode,
+  flightNumber: flight.flightNumber,
+  origin: flight.origin,
+  destination: flight.destination,
+  aircraft: idOf(flight.aircraft),
+  departure: flight.departure,
+  arrival: flight.arrival,
+  fares: flight.fares.map(fare => ({ cabinClass: fare.cabinClass, code: fare.code, price: fare.price })),
+  status: flight.status,
+  cancellationReason: flight.cancellationReason || null
+});
+
+const SNAPSHOTS = {
+  Booking: bookingSnapshot,
+  Flight: flightSnapshot
+};
+
+// Without a signed-in user in the request context the change came from the
+// system itself: a payment webhook, an expiry sweep or a cascade.
+const currentActor = () => {
+  const { user } = getContext();
+  if (!user) {
+    return { role: 'system' };
+  }
+
+  return {
+    role: user.role === 'admin' ? 'admin' : 'user',
+    user: user.id,
+    email: user.email
+  };
+};
+
+// The change has already happened by the time it is audited, so a failed
+// write is logged instead of failing a request that otherwise succeeded.
+const recordAudit = async (entityType, action, { before, after, metadata } = {}) => {
+  const snapshot = SNAPSHOTS[entityType];
+  const entity = after || before;
+
+  try {
+    await AuditLog.create({
+      entityType,
+      entity: entity._id,
+      action,
+      actor: currentActor(),
+      requestId: getContext().requestId,
+      before: before ? snapshot(before) : null,
+      after: after ? snapshot(after) : null,
+      metadata
+    });
+  } catch (error) {
+    logger.error('Audit log write failed', { entityType, entity: entity._id, action, error });
+  }
+};
+
+const auditBooking = (action, changes) => recordAudit('Booking', action, changes);
+
+const auditFlight = (action, changes) => recordAudit('Flight', action, changes);
+
+const auditHistory = async (entityType, entity, { page = 1, limit = 50 } = {}) => {
+  const filter = { entityType, entity };
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  auditBooking,
+  auditFlight,
+  auditHistory
+};
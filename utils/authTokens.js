@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { UnauthorizedError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TokenError extends UnauthorizedError {
+  constructor(message) {
+    super(message, 'INVALID_TOKEN');
+  }
+}
+
+const getAccessTokenExpiry = () => process.env.JWT_EXPIRE || '15m';
+
+const getRefreshTokenTtlDays = () => {
+  return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// The session id ties the access token to its refresh token family, so
+// logging out or detecting reuse also cuts off the short-lived access token.
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpiry()
+  });
+};
+
+const clientInfo = (req) => ({
+  createdByIp: req ? req.ip : undefined,
+  userAgent: req ? req.get('User-Agent') : undefined
+});
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * DAY_MS),
+    ...clientInfo(req)
+  });
+
+  return { token, record };
+};
+
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+  const { token, record } = await createRefreshToken(user, family, req);
+
+  return {
+    tokens: {
+      token: generateAccessToken(user, family),
+      refreshToken: token,
+      refreshTokenExpiresAt: record.expiresAt
+    },
+    record
+  };
+};
+
+const revokeFamily = (family, reason) => {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const revokeUserSessions = (userId, reason) => {
+  return RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+const isSessionActive = async (family) => {
+  return Boolean(await RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+// Each refresh token is single-use. Presenting one that was already rotated
+// means it leaked, so the whole family (every token descended from the same
+// login) is revoked and the user has to sign in again.
+const rotateRefreshToken = async (token, req) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!existing) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  if (existing.revokedAt) {
+    if (existing.revokedReason === 'rotated') {
+      await revokeFamily(existing.family, 'reuse');
+    }
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    throw new TokenError('Refresh token expired');
+  }
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  // Lost a race with another request presenting the same token
+  if (!claimed) {
+    await revokeFamily(existing.family, 'reuse');
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  const user = await User.findById(existing.user);
+  if (!user) {
+    await revokeFamily(existing.family, 'logout');
+    throw new TokenError('User not found');
+  }
+
+  const { tokens, record } = await issueTokens(user, req, existing.family);
+  claimed.replacedBy = record._id;
+  await claimed.save();
+
+  return { user, tokens };
+};
+
+const findRefreshToken = (token) => {
+  return RefreshToken.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = {
+  TokenError,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeUserSessions,
+  isSessionActive,
+  findRefreshToken
+};
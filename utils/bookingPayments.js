@@ -0,0 +1,394 @@
+const Booking = require('../models/Booking');
+const Flight = require('../models/Flight');
+const { releaseSeats, releaseBookingSeats } = require('./seatInventory');
+const { PaymentProviderError, getPaymentProvider } = require('../payments');
+const { ConflictError } = require('./errors');
+const { auditBooking } = require('./audit');
+const logger = require('./logger');
+
+const CURRENCY = 'INR';
+
+const getPaymentWindowMinutes = () => {
+  return parseInt(process.env.PAYMENT_TIMEOUT_MINUTES, 10) || 15;
+};
+
+const paymentDueAt = (now = new Date()) => {
+  return new Date(now.getTime() + getPaymentWindowMinutes() * 60 * 1000);
+};
+
+const failBookingPayment = async (filter, reason) => {
+  const before = await Booking.findOne({ ...filter, bookingStatus: 'pending', paymentStatus: 'pending' });
+  if (!before) {
+    return null;
+  }
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: before._id, bookingStatus: 'pending', paymentStatus: 'pending' },
+    {
+      bookingStatus: 'cancelled',
+      cancellationReason: 'payment_failed',
+      paymentStatus: 'failed',
+      'payment.failureReason': reason
+    },
+    { new: true }
+  );
+
+  if (booking) {
+    await releaseBookingSeats(booking);
+    await auditBooking('payment_failed', { before, after: booking, metadata: { reason } });
+  }
+
+  return booking;
+};
+
+const startPayment = async (booking) => {
+  const provider = getPaymentProvider();
+
+  let intent;
+  try {
+    intent = await provider.createPaymentIntent({
+      amount: booking.totalAmount,
+      currency: CURRENCY,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingReference: booking.bookingReference
+      }
+    });
+  } catch (error) {
+    logger.error('Payment intent creation failed', { bookingId: booking._id, error });
+    await failBookingPayment({ _id: booking._id }, 'Payment could not be initiated');
+    throw new PaymentProviderError('Payment provider is unavailable, please try again');
+  }
+
+  booking.payment = {
+    provider: provider.name,
+    intentId: intent.id,
+    amount: booking.totalAmount,
+    currency: CURRENCY
+  };
+  await booking.save();
+
+  return intent;
+};
+
+const cancelIntent = async (intentId) => {
+  try {
+    await getPaymentProvider().cancelPaymentIntent({ intentId });
+  } catch (error) {
+    logger.error('Payment intent cancellation failed', { intentId, error });
+  }
+};
+
+const changeSeats = (modification) => modification.pendingUpdate.fields.passengers.map(p => p.seatNumber);
+
+const findChange = (booking, intentId) => {
+  return booking.modifications.findIndex(m => m.payment && m.payment.intentId === intentId);
+};
+
+const awaitingChange = (intentId, status = 'pending') => ({
+  modifications: { $elemMatch: { 'payment.intentId': intentId, 'payment.status': status } }
+});
+
+// The new seats are already reserved when this runs. The booking itself stays
+// on its current flight until the payment succeeds, and the seats go back if
+// the intent cannot be created or the booking changed in the meantime.
+const startChangePayment = async (booking, modification, newSeatNumbers) => {
+  const provider = getPaymentProvider();
+  const releaseNewSeats = () => releaseSeats(modification.pendingUpdate.flight, newSeatNumbers);
+
+  let intent;
+  try {
+    intent = await provider.createPaymentIntent({
+      amount: modification.amountDue,
+      currency: CURRENCY,
+      metadata: {
+        bookingId: booking._id.toString(),
+        bookingReference: booking.bookingReference,
+        purpose: 'booking_change'
+      }
+    });
+  } catch (error) {
+    logger.error('Change payment intent creation failed', { bookingId: booking._id, amount: modification.amountDue, error });
+    await releaseNewSeats();
+    throw new PaymentProviderError('Payment provider is unavailable, please try again');
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: 'confirmed',
+      flight: booking.flight,
+      totalSeats: booking.totalSeats,
+      'modifications.payment.status': { $ne: 'pending' }
+    },
+    {
+      $push: {
+        modifications: {
+          ...modification,
+          payment: { intentId: intent.id, amount: modification.amountDue, status: 'pending', dueAt: paymentDueAt() }
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    await releaseNewSeats();
+    await cancelIntent(intent.id);
+    throw new ConflictError('Booking was updated by another request, please try again');
+  }
+
+  return { booking: updated, intent };
+};
+
+const failChangePayment = async (intentId, reason) => {
+  const before = await Booking.findOne(awaitingChange(intentId));
+  if (!before) {
+    return null;
+  }
+
+  const index = findChange(before, intentId);
+  const booking = await Booking.findOneAndUpdate(
+    { _id: before._id, ...awaitingChange(intentId) },
+    {
+      $set: {
+        [`modifications.${index}.payment.status`]: 'failed',
+        [`modifications.${index}.payment.failureReason`]: reason
+      }
+    },
+    { new: true }
+  );
+
+  if (booking) {
+    const modification = booking.modifications[index];
+    await releaseSeats(modification.pendingUpdate.flight, changeSeats(modification));
+    await auditBooking('change_payment_failed', {
+      before,
+      after: booking,
+      metadata: { intentId, reason }
+    });
+  }
+
+  return booking;
+};
+
+// The change may have been failed (expired, or its flight cancelled) while
+// the payment was in flight, so either state is refunded; the seats are only
+// still reserved if it was pending.
+const refundChangePayment = async (booking, index, reason) => {
+  const modification = booking.modifications[index];
+  const { intentId } = modification.payment;
+  const status = `modifications.${index}.payment.status`;
+
+  const previous = await Booking.findOneAndUpdate(
+    { _id: booking._id, [`modifications.${index}.payment.intentId`]: intentId, [status]: { $in: ['pending', 'failed'] } },
+    { $set: { [status]: 'refunded' } }
+  );
+  if (!previous) {
+    return null;
+  }
+
+  if (previous.modifications[index].payment.status === 'pending') {
+    await releaseSeats(modification.pendingUpdate.flight, changeSeats(modification));
+  }
+  const refunded = await Booking.findById(booking._id);
+  await getPaymentProvider().refund({ intentId, amount: modification.payment.amount, reason });
+  await auditBooking('late_change_payment_refunded', {
+    before: booking,
+    after: refunded,
+    metadata: { intentId, amount: modification.payment.amount }
+  });
+
+  return refunded;
+};
+
+// Applies the change only if nothing else touched the booking since it was
+// requested; otherwise the stored fields are stale and the money goes back.
+const completeChangePayment = async (intentId) => {
+  const before = await Booking.findOne(awaitingChange(intentId));
+  if (!before) {
+    const failed = await Booking.findOne(awaitingChange(intentId, 'failed'));
+    const refunded = failed && await refundChangePayment(
+      failed,
+      findChange(failed, intentId),
+      'Flight change had expired when payment completed'
+    );
+    return refunded ? { outcome: 'change_refunded', booking: refunded } : null;
+  }
+
+  const index = findChange(before, intentId);
+  const modification = before.modifications[index];
+  const [{ from }] = modification.changes;
+  const pendingPassengers = modification.pendingUpdate.fields.passengers;
+
+  if (!await Flight.exists({ _id: modification.pendingUpdate.flight, status: { $ne: 'cancelled' } })) {
+    const refunded = await refundChangePayment(before, index, 'Flight the booking was moving to has been cancelled');
+    return refunded ? { outcome: 'change_refunded', booking: refunded } : null;
+  }
+
+  const booking = await Booking.findOneAndUpdate(
+    {
+      _id: before._id,
+      bookingStatus: 'confirmed',
+      flight: from.flight,
+      // Same travellers as when the change was requested
+      totalSeats: pendingPassengers.length,
+      'passengers._id': { $all: pendingPassengers.map(p => p._id) },
+      [`modifications.${index + 1}`]: { $exists: false },
+      ...awaitingChange(intentId)
+    },
+    {
+      $set: {
+        ...modification.pendingUpdate.fields,
+        flight: modification.pendingUpdate.flight,
+        [`modifications.${index}.payment.status`]: 'paid',
+        [`modifications.${index}.payment.paidAt`]: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!booking) {
+    const refunded = await refundChangePayment(before, index, 'Booking changed before the flight change was paid');
+    return refunded ? { outcome: 'change_refunded', booking: refunded } : null;
+  }
+
+  await releaseSeats(from.flight, from.seats);
+  await auditBooking('flight_changed', {
+    before,
+    after: booking,
+    metadata: {
+      intentId,
+      fareDifference: modification.fareDifference,
+      changeFee: modification.changeFee,
+      amountDue: modification.amountDue
+    }
+  });
+
+  return { outcome: 'change_paid', booking };
+};
+
+// Fails the unpaid changes moving bookings onto a flight: those past their
+// payment window, or all of them when `dueBy` is omitted (the flight was
+// cancelled). A payment that still arrives is refunded.
+const failChangesToFlight = async (flightId, reason, dueBy) => {
+  const match = { 'pendingUpdate.flight': flightId, 'payment.status': 'pending' };
+  if (dueBy) {
+    match['payment.dueAt'] = { $lte: dueBy };
+  }
+
+  const bookings = await Booking.find({ modifications: { $elemMatch: match } }).select('modifications');
+  const intentIds = bookings.flatMap(booking => booking.modifications
+    .filter(m => m.payment && m.payment.status === 'pending' &&
+      m.pendingUpdate.flight.equals(flightId) && (!dueBy || m.payment.dueAt <= dueBy))
+    .map(m => m.payment.intentId));
+
+  for (const intentId of intentIds) {
+    await failChangePayment(intentId, reason);
+    await cancelIntent(intentId);
+  }
+
+  return intentIds.length;
+};
+
+const expireUnpaidBookings = async (flightId) => {
+  const now = new Date();
+  const overdue = await Booking.find({
+    $or: [{ flight: flightId }, { 'segments.flight': flightId }],
+    bookingStatus: 'pending',
+    paymentStatus: 'pending',
+    paymentDueAt: { $lte: now }
+  }).select('_id');
+
+  for (const booking of overdue) {
+    await failBookingPayment({ _id: booking._id }, 'Payment window expired');
+  }
+
+  // Unpaid flight changes hold seats on the flight they were moving to
+  const expiredChanges = await failChangesToFlight(flightId, 'Payment window expired', now);
+
+  return overdue.length + expiredChanges;
+};
+
+const handlePaymentEvent = async (event) => {
+  if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+    return { outcome: 'ignored' };
+  }
+
+  if (event.type === 'payment.succeeded') {
+    const change = await completeChangePayment(event.intentId);
+    if (change) {
+      return change;
+    }
+  } else {
+    const booking = await failChangePayment(event.intentId, event.failureReason || 'Payment failed');
+    if (booking) {
+      return { outcome: 'change_failed', booking };
+    }
+  }
+
+  if (event.type === 'payment.failed') {
+    const booking = await failBookingPayment(
+      { 'payment.intentId': event.intentId },
+      event.failureReason || 'Payment failed'
+    );
+    return { outcome: booking ? 'failed' : 'ignored', booking };
+  }
+
+  const pending = await Booking.findOne({
+    'payment.intentId': event.intentId,
+    bookingStatus: 'pending',
+    paymentStatus: 'pending'
+  });
+  const booking = pending && await Booking.findOneAndUpdate(
+    { _id: pending._id, bookingStatus: 'pending', paymentStatus: 'pending' },
+    {
+      bookingStatus: 'confirmed',
+      paymentStatus: 'paid',
+      'payment.paidAt': new Date()
+    },
+    { new: true }
+  );
+
+  if (booking) {
+    await auditBooking('payment_confirmed', {
+      before: pending,
+      after: booking,
+      metadata: { intentId: event.intentId }
+    });
+    return { outcome: 'confirmed', booking };
+  }
+
+  // The booking expired or was cancelled before the money arrived, so the
+  // seats are gone and the payment has to go back.
+  const stale = await Booking.findOneAndUpdate(
+    { 'payment.intentId': event.intentId, paymentStatus: 'failed' },
+    { paymentStatus: 'refunded' },
+    { new: true }
+  );
+
+  if (stale) {
+    await getPaymentProvider().refund({
+      intentId: event.intentId,
+      amount: stale.payment.amount,
+      reason: 'Booking was no longer active when payment completed'
+    });
+    await auditBooking('late_payment_refunded', {
+      after: stale,
+      metadata: { intentId: event.intentId, amount: stale.payment.amount }
+    });
+    return { outcome: 'refunded', booking: stale };
+  }
+
+  return { outcome: 'ignored' };
+};
+
+module.exports = {
+  paymentDueAt,
+  startPayment,
+  startChangePayment,
+  expireUnpaidBookings,
+  failChangesToFlight,
+  failBookingPayment,
+  handlePaymentEvent
+};
@@ -0,0 +1,65 @@
+// Application errors carry the HTTP status and a stable machine-readable
+// code; middleware/errorHandler turns them into the error envelope.
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', details) {
+    super(message, 400, code, details);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details) {
+    super(message, 409, code, details);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later', code = 'RATE_LIMITED') {
+    super(message, 429, code);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,114 @@
+const Flight = require('../models/Flight');
+const { priceFares } = require('./pricing');
+const { airportTimezone } = require('./airports');
+const { DAY_MS, localDayRange, parseLocalDate } = require('./timezones');
+
+const calendarDays = ({ month, date, window }) => {
+  let first;
+  let count;
+
+  if (month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    first = Date.UTC(year, monthNumber - 1, 1);
+    count = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  } else {
+    const { year, month: monthNumber, day } = parseLocalDate(date);
+    first = Date.UTC(year, monthNumber - 1, day) - window * DAY_MS;
+    count = window * 2 + 1;
+  }
+
+  return Array.from({ length: count }, (_, idx) => new Date(first + idx * DAY_MS).toISOString().slice(0, 10));
+};
+
+// One aggregation buckets the route's flights by local departure day; the
+// dynamic price of each flight is then applied in memory so the calendar
+// agrees with what /search would show for that day. Each bucket only carries
+// what the pricing rules read: a seat count instead of the booked seat list
+// and the fare prices instead of whole fares.
+const buildFareCalendar = async ({ originAirports, destinationAirports, days, cabinClass, now = new Date() }) => {
+  const timezone = airportTimezone(originAirports[0]);
+  const start = localDayRange(days[0], timezone).start;
+  const end = localDayRange(days[days.length - 1], timezone).end;
+
+  const match = {
+    origin: { $in: originAirports },
+    destination: { $in: destinationAirports },
+    status: { $ne: 'cancelled' },
+    availableSeats: { $gt: 0 },
+    departure: { $gt: now > start ? now : start, $lte: end }
+  };
+  if (cabinClass) {
+    match.cabins = { $elemMatch: { cabinClass, availableSeats: { $gt: 0 } } };
+  }
+
+  const buckets = await Flight.aggregate([
+    { $match: match },
+    {
+      $project: {
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$departure', timezone } },
+        airlineCode: 1,
+        origin: 1,
+        destination: 1,
+        departure: 1,
+        availableSeats: 1,
+        bookedCount: { $size: { $ifNull: ['$bookedSeats', []] } },
+        fares: {
+          $map: {
+            input: cabinClass
+              ? { $filter: { input: '$fares', as: 'fare', cond: { $eq: ['$$fare.cabinClass', cabinClass] } } }
+              : '$fares',
+            as: 'fare',
+            in: { price: '$$fare.price' }
+          }
+        }
+      }
+    },
+    { $match: { 'fares.0': { $exists: true } } },
+    {
+      $group: {
+        _id: '$day',
+        flightCount: { $sum: 1 },
+        flights: {
+          $push: {
+            _id: '$_id',
+            airlineCode: '$airlineCode',
+            origin: '$origin',
+            destination: '$destination',
+            departure: '$departure',
+            availableSeats: '$availableSeats',
+            bookedCount: '$bookedCount',
+            fares: '$fares'
+          }
+        }
+      }
+    }
+  ]);
+
+  const byDay = new Map(buckets.map(bucket => [bucket._id, bucket]));
+
+  return days.map(day => {
+    const bucket = byDay.get(day);
+    if (!bucket) {
+      return { date: day, flightCount: 0, lowestFare: null, flightId: null };
+    }
+
+    const cheapest = bucket.flights
+      .map(flight => ({
+        flightId: flight._id,
+        price: Math.min(...priceFares(flight, now).map(fare => fare.price))
+      }))
+      .reduce((min, option) => (!min || option.price < min.price ? option : min), null);
+
+    return {
+      date: day,
+      flightCount: bucket.flightCount,
+      lowestFare: cheapest.price,
+      flightId: cheapest.flightId
+    };
+  });
+};
+
+module.exports = {
+  calendarDays,
+  buildFareCalendar
+};
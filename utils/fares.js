@@ -0,0 +1,119 @@
+const { priceFares } = require('./pricing');
+const taxRules = require('../config/taxes');
+const { BadRequestError } = require('./errors');
+
+class FareError extends BadRequestError {
+  constructor(message) {
+    super(message, 'INVALID_FARE');
+  }
+}
+
+const cabinFares = (flight, cabinClass, now = new Date()) => {
+  return priceFares(flight, now)
+    .filter(fare => fare.cabinClass === cabinClass)
+    .sort((a, b) => a.price - b.price);
+};
+
+const lowestFare = (flight, cabinClass, now = new Date()) => {
+  const fares = cabinClass
+    ? cabinFares(flight, cabinClass, now)
+    : priceFares(flight, now).sort((a, b) => a.price - b.price);
+  return fares[0] || null;
+};
+
+const selectFare = (flight, cabinClass, fareCode, now = new Date()) => {
+  const fares = cabinFares(flight, cabinClass, now);
+
+  if (!fareCode) {
+    if (fares.length === 0) {
+      throw new FareError(`No fares are offered in ${cabinClass} on this flight`);
+    }
+    return fares[0];
+  }
+
+  const fare = fares.find(f => f.code === fareCode.toLowerCase());
+  if (!fare) {
+    throw new FareError(`Fare "${fareCode}" is not offered in ${cabinClass} on this flight`);
+  }
+  return fare;
+};
+
+const calculateTaxes = (farePrices) => {
+  const items = [
+    {
+      code: 'GST',
+      name: 'Goods and Services Tax',
+      amount: farePrices.reduce((sum, price) => sum + Math.round(price * taxRules.gstRate), 0)
+    },
+    ...taxRules.perPassengerFees.map(fee => ({
+      code: fee.code,
+      name: fee.name,
+      amount: fee.amount * farePrices.length
+    }))
+  ];
+
+  return {
+    items,
+    total: items.reduce((sum, item) => sum + item.amount, 0)
+  };
+};
+
+const fareRules = (fare) => ({
+  refundable: fare.refundable,
+  changeable: fare.changeable,
+  changeFee: fare.changeFee,
+  cancellationFee: fare.cancellationFee
+});
+
+const pricePassengers = (flight, seats, passengers, now = new Date()) => {
+  const priced = passengers.map(passenger => {
+    const seat = seats.get(passenger.seatNumber);
+    const fare = selectFare(flight, seat.cabinClass, passenger.fareCode, now);
+
+    return {
+      ...passenger,
+      cabinClass: fare.cabinClass,
+      fareCode: fare.code,
+      fareRules: fareRules(fare),
+      basePrice: fare.basePrice,
+      price: fare.price,
+      taxAmount: calculateTaxes([fare.price]).total
+    };
+  });
+
+  const fareTotal = priced.reduce((sum, p) => sum + p.price, 0);
+  const taxes = calculateTaxes(priced.map(p => p.price));
+
+  return {
+    passengers: priced,
+    fareTotal,
+    taxes: taxes.items,
+    taxTotal: taxes.total,
+    totalAmount: fareTotal + taxes.total,
+    pricedAt: now
+  };
+};
+
+const withCurrentFares = (flight, cabinClass, now = new Date()) => {
+  const fares = priceFares(flight, now);
+  const candidates = cabinClass ? fares.filter(fare => fare.cabinClass === cabinClass) : fares;
+  const cheapest = candidates.reduce((min, fare) => (!min || fare.price < min.price ? fare : min), null);
+
+  return {
+    ...flight.toObject(),
+    fares,
+    price: cheapest ? cheapest.price : flight.price,
+    lowestFare: cheapest
+  };
+};
+
+module.exports = {
+  FareError,
+  cabinFares,
+  lowestFare,
+  selectFare,
+  calculateTaxes,
+  fareRules,
+  pricePassengers,
+  withCurrentFares
+};
@@ -0,0 +1,121 @@
+const Booking = require('../models/Booking');
+const Flight = require('../models/Flight');
+const { calculateBookingRefund, settleRefund } = require('./refunds');
+const { bookingLegs, releaseBookingSeats } = require('./seatInventory');
+const { auditBooking } = require('./audit');
+const { failChangesToFlight } = require('./bookingPayments');
+const logger = require('./logger');
+
+const MAX_ATTEMPTS = 3;
+
+const cancelBookingForFlight = async (bookingId, flight, reason) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking || booking.bookingStatus === 'cancelled') {
+      return null;
+    }
+
+    // Other legs of an itinerary are refunded in full too, except any already flown
+    const otherFlights = await Flight.find({
+      _id: { $in: bookingLegs(booking).map(leg => leg.flightId).filter(id => !id.equals(flight._id)) }
+    });
+    const refund = {
+      ...calculateBookingRefund(booking, [flight, ...otherFlights], { waiveFees: true }),
+      reason: `Flight cancelled by airline: ${reason}`
+    };
+
+    const update = {
+      bookingStatus: 'cancelled',
+      cancellationReason: 'flight_cancelled',
+      $push: { refunds: refund }
+    };
+    if (booking.paymentStatus === 'pending') {
+      update.paymentStatus = 'failed';
+      if (booking.payment) {
+        update['payment.failureReason'] = 'Flight cancelled by airline';
+      }
+    }
+
+    const cancelled = await Booking.findOneAndUpdate(
+      { _id: booking._id, bookingStatus: booking.bookingStatus, paymentStatus: booking.paymentStatus },
+      update,
+      { new: true }
+    );
+
+    if (cancelled) {
+      if (cancelled.segments.length > 0) {
+        await releaseBookingSeats(cancelled);
+      }
+      const settled = await settleRefund(cancelled, cancelled.refunds[cancelled.refunds.length - 1]);
+      await auditBooking('cancelled', {
+        before: booking,
+        after: cancelled,
+        metadata: { cause: 'flight_cancelled', flight: flight._id, refund: settled.amount }
+      });
+      return settled;
+    }
+  }
+
+  throw new Error(`Booking ${bookingId} kept changing while its flight was being cancelled`);
+};
+
+const activeBookingsFilter = (flightId) => ({
+  $or: [{ flight: flightId }, { 'segments.flight': flightId }],
+  bookingStatus: { $in: ['pending', 'confirmed'] }
+});
+
+// A cancelled flight that still has active bookings is a cascade that stopped
+// partway, and running it again picks up where it left off.
+const hasActiveBookings = async (flightId) => {
+  const [booked, moving] = await Promise.all([
+    Booking.exists(activeBookingsFilter(flightId)),
+    Booking.exists({ modifications: { $elemMatch: { 'pendingUpdate.flight': flightId, 'payment.status': 'pending' } } })
+  ]);
+  return Boolean(booked || moving);
+};
+
+const cancelFlightBookings = async (flight, reason) => {
+  // Unpaid moves onto this flight fail first: a change paid before this point
+  // has already moved its booking here, so the query below still finds it
+  await failChangesToFlight(flight._id, 'Flight was cancelled');
+
+  const bookings = await Booking.find(activeBookingsFilter(flight._id)).select('_id');
+
+  const summary = {
+    bookingsCancelled: 0,
+    bookingsFailed: 0,
+    refundsIssued: 0,
+    refundsFailed: 0,
+    refundTotal: 0
+  };
+
+  for (const { _id } of bookings) {
+    let refund;
+    try {
+      refund = await cancelBookingForFlight(_id, flight, reason);
+    } catch (error) {
+      // One stuck booking should not leave the rest confirmed on a cancelled flight
+      logger.error('Booking could not be cancelled with its flight', { bookingId: _id, flightId: flight._id, error });
+      summary.bookingsFailed += 1;
+      continue;
+    }
+    if (!refund) {
+      continue;
+    }
+
+    summary.bookingsCancelled += 1;
+    if (refund.status === 'failed') {
+      summary.refundsFailed += 1;
+    } else if (refund.amount > 0) {
+      summary.refundsIssued += 1;
+      summary.refundTotal += refund.amount;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  hasActiveBookings,
+  cancelFlightBookings
+};
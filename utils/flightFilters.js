@@ -0,0 +1,147 @@
+const { airportTimezone } = require('./airports');
+const { localTime } = require('./timezones');
+
+const SORT_OPTIONS = ['price_asc', 'price_desc', 'departure_asc', 'departure_desc', 'duration'];
+
+const PROJECTABLE_FIELDS = [
+  'airline',
+  'airlineCode',
+  'flightNumber',
+  'origin',
+  'destination',
+  'aircraft',
+  'departure',
+  'arrival',
+  'departureLocal',
+  'arrivalLocal',
+  'originTimezone',
+  'destinationTimezone',
+  'duration',
+  'durationMinutes',
+  'price',
+  'lowestFare',
+  'fares',
+  'cabins',
+  'availableSeats',
+  'status'
+];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+const parseList = (value) => {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Express 5 exposes req.query through a getter, so express-validator's
+// toInt/toFloat sanitizers cannot write their result back; validated query
+// values are converted here instead.
+const toNumber = (value) => {
+  return value === undefined || value === '' ? undefined : Number(value);
+};
+
+const parsePagination = ({ page, limit }, defaultLimit = 20) => ({
+  page: toNumber(page) || 1,
+  limit: toNumber(limit) || defaultLimit
+});
+
+const airlineCondition = (airlines) => {
+  return {
+    $or: airlines.flatMap(airline => [
+      { airline: new RegExp(escapeRegex(airline), 'i') },
+      { airlineCode: airline.toUpperCase() }
+    ])
+  };
+};
+
+const matchesAirlines = (flight, airlines) => {
+  return airlines.some(airline =>
+    new RegExp(escapeRegex(airline), 'i').test(flight.airline) || flight.airlineCode === airline.toUpperCase()
+  );
+};
+
+// Ranges where "from" is later than "to" wrap past midnight, e.g. 22:00-05:00.
+const inTimeRange = (time, from = '00:00', to = '23:59') => {
+  return from <= to ? time >= from && time <= to : time >= from || time <= to;
+};
+
+const matchesTimeFilters = (flight, { departureTimeFrom, departureTimeTo, arrivalTimeFrom, arrivalTimeTo }) => {
+  if ((departureTimeFrom || departureTimeTo) &&
+      !inTimeRange(localTime(flight.departure, airportTimezone(flight.origin)), departureTimeFrom, departureTimeTo)) {
+    return false;
+  }
+
+  if ((arrivalTimeFrom || arrivalTimeTo) &&
+      !inTimeRange(localTime(flight.arrival, airportTimezone(flight.destination)), arrivalTimeFrom, arrivalTimeTo)) {
+    return false;
+  }
+
+  return true;
+};
+
+const pickFields = (flight, fields) => {
+  if (!fields || fields.length === 0) {
+    return flight;
+  }
+
+  return Object.fromEntries(['_id', ...fields]
+    .filter(field => flight[field] !== undefined)
+    .map(field => [field, flight[field]]));
+};
+
+// Live fares are the stored base fare times a clamped multiplier (rounded),
+// so a live price range narrows the stored base prices worth pricing
+const basePriceCondition = ({ cabinClass, minPrice, maxPrice }, range) => {
+  if (!range || (minPrice === undefined && maxPrice === undefined)) {
+    return {};
+  }
+
+  const bounds = {
+    ...(minPrice !== undefined && { $gte: (minPrice - 1) / range.max }),
+    ...(maxPrice !== undefined && { $lte: (maxPrice + 1) / range.min })
+  };
+
+  // The stored price is the lowest fare in any cabin
+  return cabinClass
+    ? { fares: { $elemMatch: { cabinClass, price: bounds } } }
+    : { price: bounds };
+};
+
+const hasTimeFilters = ({ departureTimeFrom, departureTimeTo, arrivalTimeFrom, arrivalTimeTo }) => {
+  return Boolean(departureTimeFrom || departureTimeTo || arrivalTimeFrom || arrivalTimeTo);
+};
+
+const paginate = (items, page = 1, limit = 20) => {
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total: items.length,
+      totalPages: Math.ceil(items.length / limit)
+    }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  PROJECTABLE_FIELDS,
+  TIME_OF_DAY,
+  escapeRegex,
+  parseList,
+  toNumber,
+  parsePagination,
+  airlineCondition,
+  matchesAirlines,
+  matchesTimeFilters,
+  hasTimeFilters,
+  basePriceCondition,
+  pickFields,
+  paginate
+};
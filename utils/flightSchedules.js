@@ -0,0 +1,128 @@
+const Flight = require('../models/Flight');
+const FlightSchedule = require('../models/FlightSchedule');
+const { airportTimezone } = require('./airports');
+const { auditFlight } = require('./audit');
+const { DAY_MS, localDate, zonedTimeToUtc } = require('./timezones');
+
+const getWindowDays = () => {
+  return parseInt(process.env.SCHEDULE_WINDOW_DAYS, 10) || 60;
+};
+
+const startOfUtcDay = (date) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Departure times, weekdays and validity dates are all in the origin
+// airport's local time; the dated flights store the matching UTC instant.
+const departuresBetween = (schedule, from, to) => {
+  const timeZone = airportTimezone(schedule.origin);
+  const [hour, minute] = schedule.departureTime.split(':').map(Number);
+
+  const firstDay = Math.max(
+    Date.parse(localDate(from, timeZone)),
+    startOfUtcDay(schedule.validFrom).getTime()
+  );
+  const lastDay = Math.min(
+    Date.parse(localDate(to, timeZone)),
+    schedule.validTo ? startOfUtcDay(schedule.validTo).getTime() : Infinity
+  );
+
+  const departures = [];
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    const date = new Date(day);
+    if (!schedule.operationalDays.includes(date.getUTCDay())) {
+      continue;
+    }
+
+    const departure = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute
+    }, timeZone);
+    if (departure > from && departure <= to) {
+      departures.push(departure);
+    }
+  }
+
+  return departures;
+};
+
+const buildFlight = (schedule, departure) => {
+  return {
+    schedule: schedule._id,
+    airline: schedule.airline,
+    airlineCode: schedule.airlineCode,
+    flightNumber: schedule.flightNumber,
+    origin: schedule.origin,
+    destination: schedule.destination,
+    aircraft: schedule.aircraft,
+    fares: schedule.fares.map(fare => fare.toObject()),
+    departure,
+    arrival: new Date(departure.getTime() + schedule.durationMinutes * 60 * 1000),
+    operationalDays: schedule.operationalDays
+  };
+};
+
+const generateFlights = async (schedule, { from = new Date(), days = getWindowDays() } = {}) => {
+  const to = new Date(from.getTime() + days * DAY_MS);
+  const departures = departuresBetween(schedule, from, to);
+
+  const existing = await Flight.find({
+    schedule: schedule._id,
+    departure: { $in: departures }
+  }).select('departure');
+  const existingTimes = new Set(existing.map(flight => flight.departure.getTime()));
+
+  const result = { created: 0, skipped: existingTimes.size };
+
+  for (const departure of departures) {
+    if (existingTimes.has(departure.getTime())) {
+      continue;
+    }
+
+    try {
+      // Audited under the admin who triggered generation, or the system for seeds and jobs
+      const flight = await Flight.create(buildFlight(schedule, departure));
+      await auditFlight('created', { after: flight, metadata: { schedule: schedule._id } });
+      result.created += 1;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      result.skipped += 1;
+    }
+  }
+
+  await FlightSchedule.updateOne(
+    { _id: schedule._id, $or: [{ generatedUntil: null }, { generatedUntil: { $lt: to } }] },
+    { generatedUntil: to }
+  );
+
+  return result;
+};
+
+const generateAllFlights = async ({ from = new Date(), days = getWindowDays() } = {}) => {
+  const schedules = await FlightSchedule.find({
+    active: true,
+    $or: [{ validTo: null }, { validTo: { $gte: from } }]
+  });
+
+  const summary = { schedules: schedules.length, created: 0, skipped: 0 };
+
+  for (const schedule of schedules) {
+    const result = await generateFlights(schedule, { from, days });
+    summary.created += result.created;
+    summary.skipped += result.skipped;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  startOfUtcDay,
+  departuresBetween,
+  generateFlights,
+  generateAllFlights
+};
@@ -0,0 +1,301 @@
+const mongoose = require('mongoose');
+const Flight = require('../models/Flight');
+const connectionRules = require('../config/connections');
+const { withCurrentFares, pricePassengers } = require('./fares');
+const { getAirport } = require('./airports');
+const { BadRequestError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+
+class ItineraryError extends BadRequestError {
+  constructor(message) {
+    super(message, 'INVALID_ITINERARY');
+  }
+}
+
+const lastLeg = (path) => path[path.length - 1];
+
+const connectionMinutes = (inbound, outbound) => {
+  return Math.round((new Date(outbound.departure) - new Date(inbound.arrival)) / MINUTE_MS);
+};
+
+const connects = (inbound, outbound, rules = connectionRules) => {
+  const minutes = connectionMinutes(inbound, outbound);
+  return inbound.destination === outbound.origin &&
+    minutes >= rules.minConnectionMinutes &&
+    minutes <= rules.maxConnectionMinutes;
+};
+
+const assertConnected = (flights, rules = connectionRules) => {
+  flights.slice(1).forEach((flight, idx) => {
+    const inbound = flights[idx];
+    if (inbound.destination !== flight.origin) {
+      throw new ItineraryError(`Flight ${flight.airlineCode}${flight.flightNumber} does not depart from ${inbound.destination}`);
+    }
+
+    const minutes = connectionMinutes(inbound, flight);
+    if (minutes < rules.minConnectionMinutes || minutes > rules.maxConnectionMinutes) {
+      throw new ItineraryError(
+        `Connection at ${flight.origin} must be between ${rules.minConnectionMinutes} and ${rules.maxConnectionMinutes} minutes (got ${minutes})`
+      );
+    }
+  });
+};
+
+const TRIP_TYPES = ['one_way', 'round_trip', 'multi_city'];
+
+const sameCity = (a, b) => {
+  const first = getAirport(a);
+  const second = getAirport(b);
+  return a === b || Boolean(first && second && first.city === second.city && first.country === second.country);
+};
+
+const groupJourneys = (legs) => {
+  const journeys = [];
+  legs.forEach(leg => {
+    const journey = leg.journey || 0;
+    journeys[journey] = journeys[journey] || [];
+    journeys[journey].push(leg.flight);
+  });
+  return journeys;
+};
+
+// Each journey is a chain of connecting flights; the journeys themselves only
+// have to follow one another in time (multi-city allows open jaws).
+const assertTrip = (tripType, legs, rules = connectionRules) => {
+  const journeys = groupJourneys(legs);
+
+  if (Array.from(journeys).some(journey => !journey)) {
+    throw new ItineraryError('Journeys must be numbered consecutively from 0');
+  }
+
+  journeys.forEach((journey, idx) => {
+    if (journey.length > rules.maxStops + 1) {
+      throw new ItineraryError(`Journey ${idx + 1} has more than ${rules.maxStops} stops`);
+    }
+    assertConnected(journey, rules);
+  });
+
+  if (tripType === 'one_way' && journeys.length !== 1) {
+    throw new ItineraryError('A one-way itinerary has exactly one journey');
+  }
+
+  if (tripType === 'round_trip') {
+    if (journeys.length !== 2) {
+      throw new ItineraryError('A round trip has exactly an outbound and a return journey');
+    }
+
+    const [outbound, inbound] = journeys;
+    if (!sameCity(inbound[0].origin, lastLeg(outbound).destination) ||
+        !sameCity(lastLeg(inbound).destination, outbound[0].origin)) {
+      throw new ItineraryError('The return journey must go back to where the outbound journey started');
+    }
+  }
+
+  if (tripType === 'multi_city' && (journeys.length < 2 || journeys.length > rules.maxJourneys)) {
+    throw new ItineraryError(`A multi-city trip has between 2 and ${rules.maxJourneys} journeys`);
+  }
+
+  journeys.slice(1).forEach((journey, idx) => {
+    if (connectionMinutes(lastLeg(journeys[idx]), journey[0]) < rules.minConnectionMinutes) {
+      throw new ItineraryError(`Journey ${idx + 2} must depart after journey ${idx + 1} arrives`);
+    }
+  });
+
+  return journeys;
+};
+
+const availabilityQuery = (cabinClass, minSeats = 1) => {
+  const query = {
+    status: { $ne: 'cancelled' },
+    availableSeats: { $gte: minSeats }
+  };
+
+  if (cabinClass) {
+    query.cabins = { $elemMatch: { cabinClass, availableSeats: { $gte: minSeats } } };
+    query['fares.cabinClass'] = cabinClass;
+  }
+
+  return query;
+};
+
+const summarize = (path, cabinClass, now) => {
+  const segments = path.map(flight => withCurrentFares(flight, cabinClass, now));
+  if (segments.some(segment => !segment.lowestFare)) {
+    return null;
+  }
+
+  const first = path[0];
+  const last = lastLeg(path);
+
+  return {
+    stops: path.length - 1,
+    origin: first.origin,
+    destination: last.destination,
+    departure: first.departure,
+    arrival: last.arrival,
+    totalDurationMinutes: Math.round((last.arrival - first.departure) / MINUTE_MS),
+    totalPrice: segments.reduce((total, segment) => total + segment.lowestFare.price, 0),
+    layovers: path.slice(1).map((flight, idx) => ({
+      airport: flight.origin,
+      minutes: connectionMinutes(path[idx], flight)
+    })),
+    segments
+  };
+};
+
+// Builds itineraries breadth-first: each round loads the flights that leave
+// the airports reached so far inside the connection window, so a two-stop
+// search costs at most three queries.
+const searchItineraries = async ({
+  originAirports,
+  destinationAirports,
+  start,
+  end,
+  cabinClass,
+  minSeats,
+  maxStops = connectionRules.maxStops,
+  sortBy,
+  now = new Date(),
+  rules = connectionRules
+}) => {
+  const base = availabilityQuery(cabinClass, minSeats);
+  const reachesDestination = (path) => destinationAirports.includes(lastLeg(path).destination);
+
+  const firstLegs = await Flight.find({
+    ...base,
+    origin: { $in: originAirports },
+    destination: { $nin: originAirports },
+    departure: { $gte: start > now ? start : now, $lte: end }
+  });
+
+  let paths = firstLegs.map(flight => [flight]);
+  const complete = paths.filter(reachesDestination);
+
+  for (let stops = 1; stops <= maxStops; stops++) {
+    const open = paths.filter(path => !reachesDestination(path));
+    if (open.length === 0) {
+      break;
+    }
+
+    const arrivals = open.map(path => lastLeg(path).arrival.getTime());
+    const query = {
+      ...base,
+      origin: { $in: [...new Set(open.map(path => lastLeg(path).destination))] },
+      departure: {
+        $gte: new Date(Math.min(...arrivals) + rules.minConnectionMinutes * MINUTE_MS),
+        $lte: new Date(Math.max(...arrivals) + rules.maxConnectionMinutes * MINUTE_MS)
+      }
+    };
+    if (stops === maxStops) {
+      query.destination = { $in: destinationAirports };
+    }
+
+    const nextLegs = await Flight.find(query);
+
+    paths = open.flatMap(path => nextLegs
+      .filter(flight => connects(lastLeg(path), flight, rules) &&
+        !path.some(leg => leg.origin === flight.destination))
+      .map(flight => [...path, flight]));
+    complete.push(...paths.filter(reachesDestination));
+  }
+
+  const byDuration = sortBy === 'duration';
+
+  return complete
+    .map(path => summarize(path, cabinClass, now))
+    .filter(Boolean)
+    .sort((a, b) => byDuration
+      ? a.totalDurationMinutes - b.totalDurationMinutes || a.totalPrice - b.totalPrice
+      : a.totalPrice - b.totalPrice || a.totalDurationMinutes - b.totalDurationMinutes)
+    .slice(0, rules.maxItineraries);
+};
+
+const combineFareRules = (rules) => ({
+  refundable: rules.every(rule => rule.refundable),
+  changeable: rules.every(rule => rule.changeable),
+  changeFee: rules.reduce((total, rule) => total + (rule.changeFee || 0), 0),
+  cancellationFee: rules.reduce((total, rule) => total + (rule.cancellationFee || 0), 0)
+});
+
+// Prices every leg separately and folds the legs into booking-level
+// passengers: each passenger carries the through fare (sums across legs and
+// the most restrictive rules) while the segments keep the per-leg detail.
+const priceItinerary = (legs, passengers, now = new Date()) => {
+  const pricedLegs = legs.map(({ flight, seats, seatNumbers }) =>
+    pricePassengers(flight, seats, passengers.map((passenger, idx) => ({
+      fareCode: passenger.fareCode,
+      seatNumber: seatNumbers[idx]
+    })), now)
+  );
+
+  const passengerIds = passengers.map(() => new mongoose.Types.ObjectId());
+
+  const combined = passengers.map((passenger, idx) => {
+    const fares = pricedLegs.map(leg => leg.passengers[idx]);
+    const sum = (key) => fares.reduce((total, fare) => total + (fare[key] || 0), 0);
+
+    return {
+      _id: passengerIds[idx],
+      firstName: passenger.firstName,
+      lastName: passenger.lastName,
+      age: passenger.age,
+      gender: passenger.gender,
+      seatNumber: fares[0].seatNumber,
+      cabinClass: fares[0].cabinClass,
+      fareCode: fares[0].fareCode,
+      fareRules: combineFareRules(fares.map(fare => fare.fareRules)),
+      basePrice: sum('basePrice'),
+      price: sum('price'),
+      taxAmount: sum('taxAmount')
+    };
+  });
+
+  const segments = legs.map(({ flight, journey }, legIdx) => ({
+    journey: journey || 0,
+    flight: flight._id,
+    passengers: pricedLegs[legIdx].passengers.map((fare, idx) => ({
+      passenger: passengerIds[idx],
+      seatNumber: fare.seatNumber,
+      cabinClass: fare.cabinClass,
+      fareCode: fare.fareCode,
+      fareRules: fare.fareRules,
+      basePrice: fare.basePrice,
+      price: fare.price,
+      taxAmount: fare.taxAmount
+    }))
+  }));
+
+  const taxes = [];
+  pricedLegs.flatMap(leg => leg.taxes).forEach(item => {
+    const existing = taxes.find(tax => tax.code === item.code);
+    if (existing) {
+      existing.amount += item.amount;
+    } else {
+      taxes.push({ ...item });
+    }
+  });
+
+  const fareTotal = pricedLegs.reduce((total, leg) => total + leg.fareTotal, 0);
+  const taxTotal = pricedLegs.reduce((total, leg) => total + leg.taxTotal, 0);
+
+  return {
+    passengers: combined,
+    segments,
+    fareTotal,
+    taxes,
+    taxTotal,
+    totalAmount: fareTotal + taxTotal,
+    pricedAt: now
+  };
+};
+
+module.exports = {
+  TRIP_TYPES,
+  ItineraryError,
+  connectionMinutes,
+  assertConnected,
+  assertTrip,
+  searchItineraries,
+  priceItinerary
+};
@@ -0,0 +1,52 @@
+const { getContext } = require('./requestContext');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// Tests stay quiet unless LOG_LEVEL asks for output
+const getThreshold = () => {
+  const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+  return LEVELS[level] || LEVELS.info;
+};
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(error.statusCode && { statusCode: error.statusCode }),
+  stack: error.stack
+});
+
+const replacer = (key, value) => (value instanceof Error ? serializeError(value) : value);
+
+// One JSON object per line so log collectors can index every field
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < getThreshold()) {
+    return;
+  }
+
+  const { requestId, user } = getContext();
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { requestId }),
+    ...(user && { userId: user.id }),
+    ...fields
+  }, replacer);
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+module.exports = {
+  LEVELS,
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
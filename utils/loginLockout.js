@@ -0,0 +1,60 @@
+const LoginLockout = require('../models/LoginLockout');
+const { lockout } = require('../config/rateLimits');
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const secondsUntil = (lockUntil, now = new Date()) => {
+  return lockUntil && lockUntil > now
+    ? Math.ceil((lockUntil - now) / 1000)
+    : 0;
+};
+
+const lockoutRemainingSeconds = async (email, now = new Date()) => {
+  const record = await LoginLockout.findOne({ email: normalizeEmail(email) }).select('lockUntil');
+  return record ? secondsUntil(record.lockUntil, now) : 0;
+};
+
+// Each lockout lasts twice as long as the previous one (15, 30, 60 minutes,
+// ...) up to maxMinutes, until a successful login clears the history.
+const lockoutMinutes = (lockoutCount) => {
+  return Math.min(lockout.baseMinutes * 2 ** lockoutCount, lockout.maxMinutes);
+};
+
+const recordFailedLogin = async (email, now = new Date()) => {
+  const updated = await LoginLockout.findOneAndUpdate(
+    { email: normalizeEmail(email) },
+    { $inc: { failedAttempts: 1 } },
+    { new: true, upsert: true }
+  );
+
+  if (updated.failedAttempts < lockout.maxFailedAttempts) {
+    return null;
+  }
+
+  const lockUntil = new Date(now.getTime() + lockoutMinutes(updated.lockoutCount) * MINUTE_MS);
+
+  // Conditional on the counter so concurrent failures lock the address once
+  const locked = await LoginLockout.findOneAndUpdate(
+    { _id: updated._id, failedAttempts: updated.failedAttempts },
+    {
+      $set: { failedAttempts: 0, lockUntil },
+      $inc: { lockoutCount: 1 }
+    },
+    { new: true }
+  );
+
+  return locked ? locked.lockUntil : null;
+};
+
+const clearFailedLogins = async (email) => {
+  await LoginLockout.deleteOne({ email: normalizeEmail(email) });
+};
+
+module.exports = {
+  secondsUntil,
+  lockoutRemainingSeconds,
+  recordFailedLogin,
+  clearFailedLogins
+};
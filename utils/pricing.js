@@ -0,0 +1,102 @@
+const defaultRules = require('../config/pricingRules');
+const { airportTimezone } = require('./airports');
+const { localWeekday } = require('./timezones');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const matchesRule = (flight, match = {}) => {
+  return Object.entries(match).every(([field, value]) => flight[field] === value);
+};
+
+const resolveRules = (rules, flight) => {
+  return rules.overrides
+    .filter(override => matchesRule(flight, override.match))
+    .reduce((resolved, { match, ...override }) => ({ ...resolved, ...override }), { ...rules.defaults });
+};
+
+const findBand = (bands = [], value) => {
+  return bands.find(band =>
+    (band.min === undefined || value >= band.min) &&
+    (band.max === undefined || value <= band.max)
+  );
+};
+
+const loadFactorAdjuster = ({ flight }, rules) => {
+  // Aggregations pass a bookedCount instead of the full seat list
+  const booked = flight.bookedCount !== undefined
+    ? flight.bookedCount
+    : (flight.bookedSeats ? flight.bookedSeats.length : 0);
+  const capacity = booked + flight.availableSeats;
+  const loadFactor = capacity > 0 ? booked / capacity : 1;
+  const band = findBand(rules.loadFactor, loadFactor);
+
+  return { name: 'loadFactor', value: Number(loadFactor.toFixed(2)), multiplier: band ? band.multiplier : 1 };
+};
+
+const daysToDepartureAdjuster = ({ flight, now }, rules) => {
+  const days = Math.max(0, Math.floor((new Date(flight.departure) - now) / DAY_MS));
+  const band = findBand(rules.daysToDeparture, days);
+
+  return { name: 'daysToDeparture', value: days, multiplier: band ? band.multiplier : 1 };
+};
+
+const dayOfWeekAdjuster = ({ flight }, rules) => {
+  const day = localWeekday(flight.departure, airportTimezone(flight.origin));
+  const multiplier = (rules.dayOfWeek && rules.dayOfWeek[day]) || 1;
+
+  return { name: 'dayOfWeek', value: day, multiplier };
+};
+
+const defaultAdjusters = [loadFactorAdjuster, daysToDepartureAdjuster, dayOfWeekAdjuster];
+
+const createPricingEngine = ({ rules = defaultRules, adjusters = defaultAdjusters } = {}) => {
+  const priceFare = (flight, fare, now = new Date()) => {
+    const resolved = resolveRules(rules, flight);
+    const adjustments = adjusters.map(adjuster => adjuster({ flight, fare, now }, resolved));
+
+    const raw = adjustments.reduce((total, adjustment) => total * adjustment.multiplier, 1);
+    const multiplier = Math.min(resolved.maxMultiplier, Math.max(resolved.minMultiplier, raw));
+
+    return {
+      basePrice: fare.price,
+      price: Math.round(fare.price * multiplier),
+      multiplier: Number(multiplier.toFixed(4)),
+      adjustments
+    };
+  };
+
+  const priceFares = (flight, now = new Date()) => {
+    return flight.fares.map(fare => {
+      const fareData = typeof fare.toObject === 'function' ? fare.toObject() : { ...fare };
+      const { basePrice, price } = priceFare(flight, fare, now);
+      return { ...fareData, basePrice, price };
+    });
+  };
+
+  // Lowest and highest multiplier any flight can be priced at
+  const multiplierRange = () => {
+    const ruleSets = [rules.defaults, ...rules.overrides];
+    return {
+      min: Math.min(...ruleSets.map(set => set.minMultiplier).filter(value => value !== undefined)),
+      max: Math.max(...ruleSets.map(set => set.maxMultiplier).filter(value => value !== undefined))
+    };
+  };
+
+  return { priceFare, priceFares, multiplierRange };
+};
+
+let engine = createPricingEngine();
+
+const usePricingEngine = (customEngine) => {
+  engine = customEngine;
+};
+
+module.exports = {
+  createPricingEngine,
+  defaultAdjusters,
+  usePricingEngine,
+  priceFare: (...args) => engine.priceFare(...args),
+  priceFares: (...args) => engine.priceFares(...args),
+  // Custom engines need not clamp their multipliers
+  multiplierRange: () => (engine.multiplierRange ? engine.multiplierRange() : null)
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { selectFare, calculateTaxes, fareRules } = require('./fares');
+const { AppError } = require('./errors');
+
+// `quote` keeps the expired quote so the caller can report the price change;
+// it is not part of the response.
+class QuoteError extends AppError {
+  constructor(message, statusCode = 400, { quote } = {}) {
+    super(message, statusCode, 'INVALID_QUOTE');
+    this.quote = quote;
+  }
+}
+
+const getQuoteSecret = () => process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+
+const getQuoteTtlMinutes = () => {
+  return parseInt(process.env.QUOTE_TTL_MINUTES, 10) || 15;
+};
+
+const buildQuote = (flight, { cabinClass, fareCode, passengers }, now = new Date()) => {
+  const fare = selectFare(flight, cabinClass, fareCode, now);
+  const fareTotal = fare.price * passengers;
+  const taxes = calculateTaxes(Array(passengers).fill(fare.price));
+
+  return {
+    flightId: flight._id.toString(),
+    cabinClass: fare.cabinClass,
+    fareCode: fare.code,
+    fareRules: fareRules(fare),
+    passengers,
+    basePrice: fare.basePrice,
+    farePrice: fare.price,
+    fareTotal,
+    taxes: taxes.items,
+    taxTotal: taxes.total,
+    total: fareTotal + taxes.total
+  };
+};
+
+const signQuote = (quote, userId) => {
+  const quoteId = crypto.randomUUID();
+  const expiresIn = getQuoteTtlMinutes() * 60;
+
+  const token = jwt.sign({ typ: 'quote', quote }, getQuoteSecret(), {
+    subject: userId.toString(),
+    jwtid: quoteId,
+    expiresIn
+  });
+
+  return {
+    token,
+    quoteId,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+};
+
+const priceDelta = (quote, current) => ({
+  quotedTotal: quote.total,
+  currentTotal: current.total,
+  delta: current.total - quote.total
+});
+
+const verifyQuote = (token, userId) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getQuoteSecret(), { subject: userId.toString() });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      const expired = jwt.decode(token);
+      throw new QuoteError('Price quote has expired, please request a new quote', 410, {
+        quote: expired.quote
+      });
+    }
+    throw new QuoteError('Invalid price quote');
+  }
+
+  if (payload.typ !== 'quote' || !payload.quote) {
+    throw new QuoteError('Invalid price quote');
+  }
+
+  return {
+    quoteId: payload.jti,
+    quote: payload.quote,
+    issuedAt: new Date(payload.iat * 1000)
+  };
+};
+
+const applyQuote = (quote, { flightId, seats, passengers, pricedAt }) => {
+  if (quote.flightId !== flightId.toString()) {
+    throw new QuoteError('Price quote was issued for a different flight');
+  }
+
+  if (quote.passengers !== passengers.length) {
+    throw new QuoteError(`Price quote covers ${quote.passengers} passengers but the booking has ${passengers.length}`);
+  }
+
+  const outsideCabin = passengers
+    .filter(p => seats.get(p.seatNumber).cabinClass !== quote.cabinClass)
+    .map(p => p.seatNumber);
+  if (outsideCabin.length > 0) {
+    throw new QuoteError(`Seats ${outsideCabin.join(', ')} are not in the quoted ${quote.cabinClass} cabin`);
+  }
+
+  if (passengers.some(p => p.fareCode && p.fareCode.toLowerCase() !== quote.fareCode)) {
+    throw new QuoteError(`Price quote is for the ${quote.fareCode} fare`);
+  }
+
+  return {
+    passengers: passengers.map(passenger => ({
+      ...passenger,
+      cabinClass: quote.cabinClass,
+      fareCode: quote.fareCode,
+      fareRules: quote.fareRules,
+      basePrice: quote.basePrice,
+      price: quote.farePrice,
+      taxAmount: calculateTaxes([quote.farePrice]).total
+    })),
+    fareTotal: quote.fareTotal,
+    taxes: quote.taxes,
+    taxTotal: quote.taxTotal,
+    totalAmount: quote.total,
+    pricedAt
+  };
+};
+
+module.exports = {
+  QuoteError,
+  buildQuote,
+  signQuote,
+  priceDelta,
+  verifyQuote,
+  applyQuote
+};
@@ -0,0 +1,259 @@
+const policies = require('../config/cancellationPolicies');
+const { getPaymentProvider } = require('../payments');
+const { AppError } = require('./errors');
+const { bookingLegs } = require('./seatInventory');
+const logger = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class CancellationError extends AppError {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode, 'CANCELLATION_NOT_ALLOWED');
+  }
+}
+
+const resolvePolicy = (flight) => {
+  return policies.overrides
+    .filter(override => Object.entries(override.match || {}).every(([field, value]) => flight[field] === value))
+    .reduce((resolved, { match, ...override }) => ({ ...resolved, ...override }), { ...policies.defaults });
+};
+
+const assertNotDeparted = (flight, now = new Date()) => {
+  if (new Date(flight.departure) <= now) {
+    throw new CancellationError('This flight has already departed and can no longer be cancelled');
+  }
+};
+
+// Every intent that collected money for the booking: the original payment
+// and each flight change paid since
+const paymentCaptures = (booking) => [
+  { intentId: booking.payment.intentId, amount: booking.payment.amount },
+  ...booking.modifications
+    .filter(m => m.payment && m.payment.status === 'paid')
+    .map(m => ({ intentId: m.payment.intentId, amount: m.payment.amount }))
+];
+
+const collectedAmount = (booking) => {
+  return paymentCaptures(booking).reduce((total, capture) => total + capture.amount, 0);
+};
+
+const isOutstanding = (status) => status === 'succeeded' || status === 'pending';
+
+// Refunds issued before allocations were recorded went to the original intent
+const refundAllocations = (booking, refund) => {
+  if (refund.allocations.length > 0) {
+    return refund.allocations.filter(allocation => isOutstanding(allocation.status));
+  }
+  return isOutstanding(refund.status) ? [{ intentId: booking.payment.intentId, amount: refund.amount }] : [];
+};
+
+// The refund being issued is already on the booking, so it is left out
+// while working out what each intent has left
+const totalRefunded = (booking, intentId, except) => {
+  return booking.refunds
+    .filter(refund => refund !== except)
+    .flatMap(refund => refundAllocations(booking, refund))
+    .filter(allocation => !intentId || allocation.intentId === intentId)
+    .reduce((total, allocation) => total + allocation.amount, 0);
+};
+
+const isPaid = (booking) => booking.paymentStatus === 'paid' || booking.paymentStatus === 'partially_refunded';
+
+const unpaidRefund = (passengers) => ({
+  amount: 0,
+  fareRefund: 0,
+  taxRefund: 0,
+  fee: 0,
+  feePercent: 0,
+  hoursBeforeDeparture: 0,
+  passengers: passengers.map(p => ({ passenger: p._id, fare: p.price, fee: 0, fareRefund: 0, taxRefund: 0, amount: 0 }))
+});
+
+// Refund lines for passengers priced on one flight, under that flight's
+// policy and time to departure
+const flightRefundLines = (flight, passengers, { waiveFees, now }) => {
+  const policy = resolvePolicy(flight);
+  const hoursBeforeDeparture = (new Date(flight.departure) - now) / HOUR_MS;
+  const window = policy.windows
+    .slice()
+    .sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture)
+    .find(w => hoursBeforeDeparture >= w.minHoursBeforeDeparture);
+  const feePercent = waiveFees ? 0 : (window ? window.feePercent : 100);
+
+  const lines = passengers.map(passenger => {
+    const rules = passenger.fareRules || {};
+    let fee;
+    if (waiveFees) {
+      fee = 0;
+    } else if (!rules.refundable) {
+      fee = passenger.price;
+    } else {
+      fee = Math.max(rules.cancellationFee || 0, Math.round(passenger.price * feePercent / 100));
+    }
+    fee = Math.min(fee, passenger.price);
+
+    const fareRefund = passenger.price - fee;
+    const taxRefund = waiveFees || policy.refundTaxes ? (passenger.taxAmount || 0) : 0;
+
+    return {
+      passenger: passenger._id,
+      fare: passenger.price,
+      fee,
+      fareRefund,
+      taxRefund,
+      amount: fareRefund + taxRefund
+    };
+  });
+
+  return { lines, feePercent, hoursBeforeDeparture };
+};
+
+const summarizeRefund = (booking, lines, { feePercent, hoursBeforeDeparture }) => {
+  const sum = (key) => lines.reduce((total, line) => total + line[key], 0);
+
+  // Never more than was collected and has not been returned yet
+  const refundable = Math.max(collectedAmount(booking) - totalRefunded(booking), 0);
+  const amount = Math.min(sum('amount'), refundable);
+  const withheld = sum('amount') - amount;
+
+  return {
+    amount,
+    fareRefund: Math.max(sum('fareRefund') - withheld, 0),
+    taxRefund: Math.min(sum('taxRefund'), amount),
+    fee: sum('fee') + withheld,
+    feePercent,
+    hoursBeforeDeparture: Math.floor(hoursBeforeDeparture),
+    passengers: lines
+  };
+};
+
+const calculateRefund = (booking, flight, { passengers = booking.passengers, waiveFees = false, now = new Date() } = {}) => {
+  assertNotDeparted(flight, now);
+
+  if (!isPaid(booking)) {
+    return unpaidRefund(passengers);
+  }
+
+  const { lines, ...terms } = flightRefundLines(flight, passengers, { waiveFees, now });
+  return summarizeRefund(booking, lines, terms);
+};
+
+// Every leg of a multi-segment booking was priced on its own flight, so each
+// is refunded under that flight's policy and time to departure. Legs that have
+// already flown are skipped when fees are waived (the airline cancelled a later
+// leg); otherwise the booking can no longer be cancelled.
+const calculateBookingRefund = (booking, flights, { waiveFees = false, now = new Date() } = {}) => {
+  const flightById = new Map(flights.map(flight => [flight._id.toString(), flight]));
+
+  if (booking.segments.length === 0) {
+    return calculateRefund(booking, flightById.get((booking.flight._id || booking.flight).toString()), { waiveFees, now });
+  }
+
+  const legs = bookingLegs(booking)
+    .map((leg, idx) => ({ flight: flightById.get(leg.flightId.toString()), segment: booking.segments[idx] }))
+    .filter(({ flight }) => {
+      if (waiveFees && new Date(flight.departure) <= now) {
+        return false;
+      }
+      assertNotDeparted(flight, now);
+      return true;
+    });
+
+  if (!isPaid(booking)) {
+    return unpaidRefund(booking.passengers);
+  }
+
+  const legRefunds = legs.map(({ flight, segment }) => flightRefundLines(
+    flight,
+    segment.passengers.map(p => ({ _id: p.passenger, price: p.price, taxAmount: p.taxAmount, fareRules: p.fareRules })),
+    { waiveFees, now }
+  ));
+
+  const lines = booking.passengers.map(passenger => {
+    const own = legRefunds
+      .flatMap(leg => leg.lines)
+      .filter(line => line.passenger.toString() === passenger._id.toString());
+    const sum = (key) => own.reduce((total, line) => total + line[key], 0);
+
+    return {
+      passenger: passenger._id,
+      fare: sum('fare'),
+      fee: sum('fee'),
+      fareRefund: sum('fareRefund'),
+      taxRefund: sum('taxRefund'),
+      amount: sum('amount')
+    };
+  });
+
+  return summarizeRefund(booking, lines, {
+    feePercent: legRefunds.length > 0 ? Math.max(...legRefunds.map(leg => leg.feePercent)) : 0,
+    hoursBeforeDeparture: legRefunds.length > 0 ? Math.min(...legRefunds.map(leg => leg.hoursBeforeDeparture)) : 0
+  });
+};
+
+const issueRefund = async (booking, refund) => {
+  if (refund.amount <= 0) {
+    refund.status = 'not_applicable';
+    return refund;
+  }
+
+  // A provider refunds at most what an intent captured, so the amount is
+  // split across the intents that collected it, latest flight change first
+  const allocations = [];
+  let remaining = refund.amount;
+  for (const capture of paymentCaptures(booking).reverse()) {
+    const amount = Math.min(remaining, capture.amount - totalRefunded(booking, capture.intentId, refund));
+    if (amount > 0) {
+      allocations.push({ intentId: capture.intentId, amount });
+      remaining -= amount;
+    }
+  }
+
+  for (const allocation of allocations) {
+    try {
+      const result = await getPaymentProvider().refund({
+        intentId: allocation.intentId,
+        amount: allocation.amount,
+        reason: refund.reason
+      });
+      allocation.status = result.status === 'succeeded' ? 'succeeded' : 'pending';
+      allocation.providerRefundId = result.id;
+    } catch (error) {
+      logger.error('Refund failed', { bookingId: booking._id, intentId: allocation.intentId, amount: allocation.amount, error });
+      allocation.status = 'failed';
+    }
+  }
+
+  refund.allocations = allocations;
+  refund.providerRefundId = allocations.length > 0 ? allocations[0].providerRefundId : undefined;
+  if (allocations.length === 0 || allocations.some(allocation => allocation.status === 'failed')) {
+    refund.status = 'failed';
+  } else {
+    refund.status = allocations.every(allocation => allocation.status === 'succeeded') ? 'succeeded' : 'pending';
+  }
+
+  return refund;
+};
+
+const settleRefund = async (booking, refund) => {
+  await issueRefund(booking, refund);
+
+  // Part of a split refund can go through even when another part fails
+  const refunded = totalRefunded(booking);
+  if (refund.amount > 0 && refunded > 0) {
+    booking.paymentStatus = refunded >= collectedAmount(booking) ? 'refunded' : 'partially_refunded';
+  }
+
+  await booking.save();
+  return refund;
+};
+
+module.exports = {
+  CancellationError,
+  resolvePolicy,
+  assertNotDeparted,
+  calculateRefund,
+  calculateBookingRefund,
+  issueRefund,
+  settleRefund
+};
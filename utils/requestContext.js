@@ -0,0 +1,23 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Follows a request through every await, so code far from the route (refunds,
+// payment events, cascades) can log and audit with the request's ID and user
+// without req being passed down to it.
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || {};
+
+const setContextUser = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.user = { id: user._id, email: user.email, role: user.role };
+  }
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setContextUser
+};
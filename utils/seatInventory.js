@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Flight = require('../models/Flight');
+const Booking = require('../models/Booking');
+const { AppError, ConflictError, NotFoundError, BadRequestError } = require('./errors');
+
+// Seats are reserved and released with single conditional updates on the
+// flight document, so concurrent requests can never both claim the same seat.
+
+class SeatConflictError extends ConflictError {
+  constructor(message, seats = []) {
+    super(message, 'SEAT_CONFLICT', { conflictingSeats: seats });
+    this.seats = seats;
+  }
+}
+
+class FlightNotFoundError extends NotFoundError {
+  constructor() {
+    super('Flight not found', 'FLIGHT_NOT_FOUND');
+  }
+}
+
+class InvalidSeatError extends BadRequestError {
+  constructor(message, seats = []) {
+    super(message, 'INVALID_SEAT', { invalidSeats: seats });
+    this.seats = seats;
+  }
+}
+
+class SeatHoldError extends AppError {
+  constructor(message, statusCode = 410) {
+    super(message, statusCode, 'SEAT_HOLD_UNAVAILABLE');
+  }
+}
+
+const getHoldTtlMinutes = () => {
+  return parseInt(process.env.SEAT_HOLD_TTL_MINUTES, 10) || 10;
+};
+
+// Holds whose seats were all booked stay until they expire, but hold nothing
+const activeHolds = (flight, now = new Date()) => {
+  return (flight.seatHolds || []).filter(hold => hold.expiresAt > now && hold.seats.length > 0);
+};
+
+// Holds that block the seats, leaving out the one being converted or, when
+// booking without naming a hold, any the caller owns
+const heldByOthers = (seatNumbers, now, { holdId, userId } = {}) => {
+  const match = {
+    seats: { $in: seatNumbers },
+    expiresAt: { $gt: now }
+  };
+  if (holdId) {
+    match._id = { $ne: holdId };
+  } else if (userId) {
+    match.user = { $ne: userId };
+  }
+  return { seatHolds: { $not: { $elemMatch: match } } };
+};
+
+const validateSeatNumbers = async (flightId, seatNumbers) => {
+  const flight = await Flight.findById(flightId).populate('aircraft');
+  if (!flight) {
+    throw new FlightNotFoundError();
+  }
+
+  if (flight.status === 'cancelled') {
+    throw new SeatConflictError('This flight has been cancelled');
+  }
+
+  if (!flight.aircraft) {
+    throw new InvalidSeatError('No seat map is configured for this flight', seatNumbers);
+  }
+
+  const bookable = new Map(flight.aircraft.getBookableSeats().map(seat => [seat.seatNumber, seat]));
+  const invalid = seatNumbers.filter(seat => !bookable.has(seat));
+  if (invalid.length > 0) {
+    throw new InvalidSeatError(`Seats do not exist on this aircraft or are blocked: ${invalid.join(', ')}`, invalid);
+  }
+
+  const seats = new Map(seatNumbers.map(seat => [seat, bookable.get(seat)]));
+  return { flight, seats };
+};
+
+const cabinCounts = (seats) => {
+  const counts = {};
+  seats.forEach(seat => {
+    counts[seat.cabinClass] = (counts[seat.cabinClass] || 0) + 1;
+  });
+  return counts;
+};
+
+const cabinInventoryUpdate = (seats, sign) => {
+  const conditions = [];
+  const inc = {};
+  const arrayFilters = [];
+
+  Object.entries(cabinCounts(seats)).forEach(([cabinClass, count], idx) => {
+    conditions.push({ cabins: { $elemMatch: { cabinClass, availableSeats: { $gte: count } } } });
+    inc[`cabins.$[cabin${idx}].availableSeats`] = sign * count;
+    arrayFilters.push({ [`cabin${idx}.cabinClass`]: cabinClass });
+  });
+
+  return { conditions, inc, arrayFilters };
+};
+
+const findConflicts = async (flightId, seatNumbers, { holdId, userId, seats } = {}) => {
+  const current = await Flight.findById(flightId).select('status availableSeats cabins bookedSeats +seatHolds');
+  if (!current) {
+    throw new FlightNotFoundError();
+  }
+
+  if (current.status === 'cancelled') {
+    return { current, message: 'This flight has been cancelled', seats: [] };
+  }
+
+  const taken = seatNumbers.filter(seat => current.bookedSeats.includes(seat));
+  if (taken.length > 0) {
+    return { current, message: `Seats already booked: ${taken.join(', ')}`, seats: taken };
+  }
+
+  const held = activeHolds(current)
+    .filter(hold => holdId
+      ? hold._id.toString() !== holdId.toString()
+      : !userId || hold.user.toString() !== userId.toString())
+    .flatMap(hold => hold.seats)
+    .filter(seat => seatNumbers.includes(seat));
+  if (held.length > 0) {
+    return { current, message: `Seats currently held by another user: ${held.join(', ')}`, seats: held };
+  }
+
+  const counts = seats ? cabinCounts(seats) : {};
+  const soldOut = current.cabins
+    .filter(cabin => cabin.availableSeats < (counts[cabin.cabinClass] || 0))
+    .map(cabin => `${cabin.availableSeats} ${cabin.cabinClass}`);
+  if (soldOut.length > 0) {
+    return { current, message: `Only ${soldOut.join(', ')} seats available`, seats: [] };
+  }
+
+  return { current, message: `Only ${current.availableSeats} seats available`, seats: [] };
+};
+
+const releaseExpiredHolds = async (flightId) => {
+  await Flight.updateOne(
+    { _id: flightId },
+    { $pull: { seatHolds: { expiresAt: { $lte: new Date() } } } }
+  );
+};
+
+const holdSeats = async (flightId, userId, seatNumbers) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + getHoldTtlMinutes() * 60 * 1000);
+
+  const hold = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    seats: seatNumbers,
+    expiresAt
+  };
+
+  const { seats } = await validateSeatNumbers(flightId, seatNumbers);
+  await releaseExpiredHolds(flightId);
+
+  const result = await Flight.updateOne(
+    {
+      _id: flightId,
+      status: { $ne: 'cancelled' },
+      availableSeats: { $gte: seatNumbers.length },
+      bookedSeats: { $nin: seatNumbers },
+      $and: cabinInventoryUpdate(seats, -1).conditions,
+      ...heldByOthers(seatNumbers, now)
+    },
+    { $push: { seatHolds: hold } }
+  );
+
+  if (result.modifiedCount > 0) {
+    return hold;
+  }
+
+  const conflict = await findConflicts(flightId, seatNumbers, { seats });
+  throw new SeatConflictError(conflict.message, conflict.seats);
+};
+
+const releaseHold = async (flightId, userId, holdId) => {
+  const result = await Flight.updateOne(
+    { _id: flightId },
+    { $pull: { seatHolds: { _id: holdId, user: userId } } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+const reserveSeats = async (flightId, seatNumbers, { holdId, userId } = {}) => {
+  const { seats } = await validateSeatNumbers(flightId, seatNumbers);
+  const cabinUpdate = cabinInventoryUpdate(seats, -1);
+
+  const now = new Date();
+  const count = seatNumbers.length;
+
+  const filter = {
+    _id: flightId,
+    status: { $ne: 'cancelled' },
+    availableSeats: { $gte: count },
+    bookedSeats: { $nin: seatNumbers },
+    $and: [...cabinUpdate.conditions]
+  };
+  const update = {
+    $inc: { availableSeats: -count, ...cabinUpdate.inc },
+    $push: { bookedSeats: { $each: seatNumbers } }
+  };
+
+  if (holdId) {
+    filter.$and.push(
+      heldByOthers(seatNumbers, now, { holdId }),
+      {
+        seatHolds: {
+          $elemMatch: {
+            _id: holdId,
+            user: userId,
+            expiresAt: { $gt: now },
+            seats: { $all: seatNumbers }
+          }
+        }
+      }
+    );
+    update.$pull = { seatHolds: { _id: holdId } };
+  } else {
+    filter.$and.push(heldByOthers(seatNumbers, now, { userId }));
+  }
+
+  const arrayFilters = [...cabinUpdate.arrayFilters];
+  if (!holdId && userId) {
+    // The caller's own holds give up the seats they have now booked
+    update.$pull = { 'seatHolds.$[mine].seats': { $in: seatNumbers } };
+    arrayFilters.push({ 'mine.user': userId });
+  }
+
+  const flight = await Flight.findOneAndUpdate(filter, update, {
+    new: true,
+    arrayFilters
+  });
+
+  if (flight) {
+    return flight;
+  }
+
+  const conflict = await findConflicts(flightId, seatNumbers, { holdId, userId, seats });
+
+  if (holdId) {
+    const hold = activeHolds(conflict.current, now).find(h =>
+      h._id.toString() === holdId.toString() && h.user.toString() === userId.toString()
+    );
+    if (!hold) {
+      throw new SeatHoldError('Seat hold has expired or does not exist');
+    }
+    const outsideHold = seatNumbers.filter(seat => !hold.seats.includes(seat));
+    if (outsideHold.length > 0) {
+      throw new SeatHoldError(`Seats not covered by the hold: ${outsideHold.join(', ')}`, 400);
+    }
+  }
+
+  throw new SeatConflictError(conflict.message, conflict.seats);
+};
+
+const releaseSeats = async (flightId, seatNumbers) => {
+  if (seatNumbers.length === 0) {
+    return false;
+  }
+
+  const flight = await Flight.findById(flightId).select('aircraft').populate('aircraft');
+  if (!flight) {
+    return false;
+  }
+
+  const seatMap = new Map((flight.aircraft ? flight.aircraft.getSeats() : [])
+    .map(seat => [seat.seatNumber, seat]));
+  const seats = seatNumbers.filter(seat => seatMap.has(seat)).map(seat => seatMap.get(seat));
+  const cabinUpdate = cabinInventoryUpdate(seats, 1);
+
+  const result = await Flight.updateOne(
+    { _id: flightId, bookedSeats: { $all: seatNumbers } },
+    {
+      $inc: { availableSeats: seatNumbers.length, ...cabinUpdate.inc },
+      $pullAll: { bookedSeats: seatNumbers }
+    },
+    { arrayFilters: cabinUpdate.arrayFilters }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Reserves the seats of a pending itinerary booking one leg at a time and
+// marks each leg on the booking as it is taken. Whoever flips a mark owns
+// those seats: a failed leg releases the marked ones here, and if that
+// release is lost the booking still expires unpaid and the sweep frees them.
+const reserveLegs = async (booking, legs, { userId } = {}) => {
+  let current = booking;
+  let marked = 0;
+
+  try {
+    for (const [idx, leg] of legs.entries()) {
+      await reserveSeats(leg.flightId, leg.seatNumbers, { holdId: leg.holdId, userId });
+
+      current = await Booking.findOneAndUpdate(
+        { _id: booking._id, bookingStatus: 'pending' },
+        { $set: { [`segments.${idx}.seatsReserved`]: true } },
+        { new: true }
+      );
+      if (!current) {
+        await releaseSeats(leg.flightId, leg.seatNumbers);
+        throw new ConflictError('Booking was cancelled while its seats were being reserved');
+      }
+      marked += 1;
+    }
+  } catch (error) {
+    for (const [idx, leg] of legs.slice(0, marked).entries()) {
+      const unmarked = await Booking.updateOne(
+        { _id: booking._id, bookingStatus: 'pending', [`segments.${idx}.seatsReserved`]: true },
+        { $set: { [`segments.${idx}.seatsReserved`]: false } }
+      );
+      if (unmarked.modifiedCount > 0) {
+        await releaseSeats(leg.flightId, leg.seatNumbers);
+      }
+    }
+    throw error;
+  }
+
+  return current;
+};
+
+const bookingLegs = (booking) => {
+  if (booking.segments && booking.segments.length > 0) {
+    return booking.segments.map(segment => ({
+      flightId: segment.flight._id || segment.flight,
+      seatNumbers: segment.passengers.map(p => p.seatNumber),
+      seatsReserved: segment.seatsReserved
+    }));
+  }
+
+  return [{
+    flightId: booking.flight._id || booking.flight,
+    seatNumbers: booking.passengers.map(p => p.seatNumber)
+  }];
+};
+
+const releaseBookingSeats = async (booking) => {
+  for (const leg of bookingLegs(booking).filter(leg => leg.seatsReserved !== false)) {
+    await releaseSeats(leg.flightId, leg.seatNumbers);
+  }
+};
+
+const swapSeats = async (flightId, fromSeats, toSeats) => {
+  const added = toSeats.filter(seat => !fromSeats.includes(seat));
+  const freed = fromSeats.filter(seat => !toSeats.includes(seat));
+
+  if (added.length === 0) {
+    return false;
+  }
+
+  const { seats } = await validateSeatNumbers(flightId, added);
+  const flight = await Flight.findById(flightId).select('aircraft').populate('aircraft');
+  const seatMap = new Map(flight.aircraft.getSeats().map(seat => [seat.seatNumber, seat]));
+
+  const addedCounts = cabinCounts([...seats.values()]);
+  const freedCounts = cabinCounts(freed.map(seat => seatMap.get(seat)).filter(Boolean));
+  const cabinsMatch = Object.keys({ ...addedCounts, ...freedCounts })
+    .every(cabinClass => addedCounts[cabinClass] === freedCounts[cabinClass]);
+  if (!cabinsMatch) {
+    throw new InvalidSeatError('Seat changes must stay within the same cabin', added);
+  }
+
+  const now = new Date();
+  const result = await Flight.updateOne(
+    {
+      _id: flightId,
+      status: { $ne: 'cancelled' },
+      bookedSeats: { $nin: added, $all: freed },
+      ...heldByOthers(added, now)
+    },
+    [
+      {
+        $set: {
+          bookedSeats: {
+            $concatArrays: [{ $setDifference: ['$bookedSeats', freed] }, added]
+          }
+        }
+      }
+    ]
+  );
+
+  if (result.modifiedCount > 0) {
+    return true;
+  }
+
+  const conflict = await findConflicts(flightId, added, { seats });
+  throw new SeatConflictError(conflict.message, conflict.seats);
+};
+
+module.exports = {
+  SeatConflictError,
+  FlightNotFoundError,
+  InvalidSeatError,
+  SeatHoldError,
+  activeHolds,
+  holdSeats,
+  releaseHold,
+  validateSeatNumbers,
+  reserveSeats,
+  releaseSeats,
+  reserveLegs,
+  bookingLegs,
+  releaseBookingSeats,
+  swapSeats
+};
@@ -0,0 +1,112 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const zonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(getFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .map(part => [part.type, part.value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+const offsetMinutes = (date, timeZone) => {
+  const time = Math.floor(new Date(date).getTime() / 1000) * 1000;
+  const p = zonedParts(time, timeZone);
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - time) / 60000;
+};
+
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = offsetMinutes(guess, timeZone);
+  const corrected = offsetMinutes(guess - offset * 60000, timeZone);
+  return new Date(guess - corrected * 60000);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const localDate = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+const localTime = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+const localWeekday = (date, timeZone) => {
+  return zonedParts(date, timeZone).weekday;
+};
+
+const parseLocalDate = (value) => {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return { year, month, day };
+};
+
+const localDayRange = (value, timeZone) => {
+  const { year, month, day } = parseLocalDate(value);
+  const next = new Date(Date.UTC(year, month - 1, day) + DAY_MS);
+
+  return {
+    start: zonedTimeToUtc({ year, month, day }, timeZone),
+    end: new Date(zonedTimeToUtc({
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate()
+    }, timeZone).getTime() - 1)
+  };
+};
+
+const formatLocal = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const offset = offsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+const formatDuration = (minutes) => {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+module.exports = {
+  DAY_MS,
+  zonedParts,
+  zonedTimeToUtc,
+  localDate,
+  localTime,
+  localWeekday,
+  parseLocalDate,
+  localDayRange,
+  formatLocal,
+  formatDuration
+};